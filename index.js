@@ -1,8 +1,9 @@
-import { ns, tags, signal, effect, computed, batch } from "./src/index.js"
+import { ns, tags, signal, effect, computed, store, resource, untrack, onCleanup, createRoot, batch, flushSync, setScheduler, list, when, match, suspense, errorBoundary, hydrate, mount, unmount, observe, unobserve, defineElement, css } from "./src/index.js"
 import Observable from "./src/observable.js"
-import { HashRouter, HistoryRouter } from "./src/router.js"
+import { HashRouter, HistoryRouter, navigating } from "./src/router.js"
 import State from "./src/state.js"
+import { createForm } from "./src/form.js"
 
-export { ns, tags, signal, effect, computed, batch, State, Observable, HashRouter, HistoryRouter }
+export { ns, tags, signal, effect, computed, store, resource, untrack, onCleanup, createRoot, batch, flushSync, setScheduler, list, when, match, suspense, errorBoundary, hydrate, mount, unmount, observe, unobserve, defineElement, css, State, Observable, HashRouter, HistoryRouter, navigating, createForm }
 
-export default { ns, tags, signal, effect, computed, batch, State, Observable, HashRouter, HistoryRouter }
+export default { ns, tags, signal, effect, computed, store, resource, untrack, onCleanup, createRoot, batch, flushSync, setScheduler, list, when, match, suspense, errorBoundary, hydrate, mount, unmount, observe, unobserve, defineElement, css, State, Observable, HashRouter, HistoryRouter, navigating, createForm }
@@ -6,27 +6,39 @@ import SVGWorld from "./components/SVGWorld.js"
 
 const { a, p, h1, div, pre, nav, button, fragment } = tags
 
-// define routes
+// define routes, the names are used to create the links with "router.href"
 // pass observable state object for subscribers
-const router = new HistoryRouter(document.body, "/", {
-	"/": Home, // also the default route
-	"/info": Info,
-	"/user/:id": (prev, now, id) => fragment(
-		div("Hello! You have navigated to the user page with ID: " + id),
-		button({ onclick: () => router.back() }, "Go back"),
-	),
-	"/album/:id/detail/:type": (prev, now, id, type) => fragment(
-		div("Hello! You have navigated to the album detail page with ID: " + id + " and type: " + type),
-		button({ onclick: () => router.back() }, "Go back"),
-	),
-	"/test": () => "Not a Node test.",
-	"/error/:message": ErrorPage, // error route to handle error
-	"/test-throw-route-error": () => { // test only.
-		// this demonstrate how the router handles errors thrown in route callbacks
-		// and navigates to the error route with the error message
-		throw new Error("This is a test error thrown from the route callback for testing the error route.");
-	}
-}, state.routerState)
+const router = new HistoryRouter(document.body, "/", [
+	{ path: "/", name: "home", component: Home }, // also the default route
+	{ path: "/info", name: "info", component: Info },
+	{
+		path: "/user/:id",
+		name: "user",
+		component: ({ params }) => fragment(
+			div("Hello! You have navigated to the user page with ID: " + params["id"]),
+			button({ onclick: () => router.back() }, "Go back"),
+		),
+	},
+	{
+		path: "/album/:id/detail/:type",
+		name: "album",
+		component: ({ params }) => fragment(
+			div("Hello! You have navigated to the album detail page with ID: " + params["id"] + " and type: " + params["type"]),
+			button({ onclick: () => router.back() }, "Go back"),
+		),
+	},
+	{ path: "/test", component: () => "Not a Node test." },
+	{ path: "/error/:message", name: "error", component: ErrorPage }, // error route to handle error
+	{
+		path: "/test-throw-route-error", // test only.
+		name: "throw",
+		component: () => {
+			// this demonstrate how the router handles errors thrown in route components
+			// and navigates to the error route with the error message
+			throw new Error("This is a test error thrown from the route callback for testing the error route.");
+		},
+	},
+], state.routerState)
 
 // optional. subscribe to global router state changes
 // or directly from: state.routerState
@@ -83,13 +95,13 @@ function Home() {
 		h1(SVGWorld(), "SEUI Demo"),
 		nav(
 			a("Home"),
-			a({ href: "/info" }, "Info"),
-			a({ href: "/error/sample" }, "Error (sample)"),
-			a({ href: "/user/123" }, "User 123"),
-			a({ href: "/album/456/detail/full" }, "Album 456 Detail Full"),
+			a({ href: router.href("info") }, "Info"),
+			a({ href: router.href("error", { message: "sample" }) }, "Error (sample)"),
+			a({ href: router.href("user", { id: 123 }) }, "User 123"),
+			a({ href: router.href("album", { id: 456, type: "full" }) }, "Album 456 Detail Full"),
 		),
 		p("This page will demonstrate the use of the seui library and its components."),
-		a({ href: "/test-throw-route-error" }, "Test faulty route (should navigate to error route)")
+		a({ href: router.href("throw") }, "Test faulty route (should navigate to error route)")
 	)
 }
 
@@ -97,21 +109,24 @@ function Info() {
 	return div(
 		h1("Info"),
 		nav(
-			a({ href: "/" }, "Home"),
+			a({ href: router.href("home") }, "Home"),
 			a("Info"),
 		),
 		p("Information..."),
 	)
 }
 
-function ErrorPage(prev, now, message) {
-	console.log(`\x1b[32m Error route navigated from ${prev} to ${now} with:\x1b[0m`, message)
-	// get error message and decode uri component
-	const messageError = JSON.stringify(decodeURIComponent(message), null, 2) || "unknown error"
+/**
+ * @param {import("seui/router").RouteContext} ctx
+ */
+function ErrorPage({ oldURL, newURL, params }) {
+	console.log(`\x1b[32m Error route navigated from ${oldURL} to ${newURL} with:\x1b[0m`, params["message"])
+	// the parameters are already decoded
+	const messageError = JSON.stringify(params["message"], null, 2) || "unknown error"
 	return div(
 		h1("Error"),
 		nav(
-			a({ href: "/" }, "Home"),
+			a({ href: router.href("home") }, "Home"),
 			a("Error"),
 		),
 		p("Details:"),
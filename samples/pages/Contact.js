@@ -1,4 +1,5 @@
 import { tags } from "seui"
+import { createForm } from "seui/form"
 import Navigation from "../components/Navigation.js"
 
 const { a, p, h1, div, form, textarea, fieldset, legend, label, input } = tags
@@ -23,22 +24,26 @@ const TextArea = (labelText, props = {}) => {
 	)
 }
 
-const ContactForm = () => form(
-	{
-		id: "contact-form",
-		onsubmit: (e) => {
-			e.preventDefault()
-			// @ts-ignore
-			const formData = new FormData(e.target)
-			const json = JSON.stringify(Object.fromEntries(formData))
-			alert(`TODO: demo send ${json}`)
-		}
-	},
-	Input("Name", { id: "name", name: "name", type: "text", required: "required", oninput: (e) => console.log(e.type, e.target.value) }),
-	Input("Email", { id: "email", name: "email", type: "email", required: "required", oninput: (e) => console.log(e.type, e.target.value) }),
-	TextArea("Message", { id: "message", name: "message", required: "required", oninput: (e) => console.log(e.type, e.target.value) }),
-	input({ type: "submit", value: "Send" }),
-)
+const ContactForm = () => {
+	const contact = createForm({
+		initialValues: { name: "", email: "", message: "" },
+		validators: {
+			message: (value) => value.trim().length < 10 && "Please write at least 10 characters",
+		},
+		onSubmit: (values) => {
+			alert(`TODO: demo send ${JSON.stringify(values)}`)
+			contact.reset()
+		},
+	})
+	return form(
+		{ id: "contact-form", novalidate: true, onsubmit: contact.handleSubmit },
+		Input("Name", { id: "name", type: "text", required: "required", ...contact.register("name") }),
+		Input("Email", { id: "email", type: "email", required: "required", ...contact.register("email") }),
+		TextArea("Message", { id: "message", required: "required", ...contact.register("message") }),
+		p(contact.fields.message.error),
+		input({ type: "submit", value: "Send", disabled: contact.submitting }),
+	)
+}
 
 export default function Contact() {
 	return div(
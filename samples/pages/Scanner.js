@@ -1,4 +1,4 @@
-import { tags, signal, computed } from "seui";
+import { tags, signal, list } from "seui";
 import Navigation from "../components/Navigation.js"
 // @ts-ignore see https://github.com/zxing-js/library/
 import { MultiFormatReader, BrowserMultiFormatReader, BarcodeFormat, DecodeHintType, NotFoundException, ChecksumException, FormatException } from "https://cdn.jsdelivr.net/npm/@zxing/library@0.23.0/+esm";
@@ -45,13 +45,9 @@ let selectedDeviceId;
 
 const counter = signal(0)
 const timestamp = signal(Date.now())
-/**	@type {import("seui").Signal<string[]>} */
-const barcodes = signal([])
+const barcodes = signal(/** @type {string[]} */([]))
 
 export default function Scanner() {
-	// map barcodes into elements instead of Array.toString
-	const barcodeElements = computed(() => barcodes.value.map((text) => li(text)))
-
 	return fragment(
 		h1("Scanner"),
 		Navigation(
@@ -85,7 +81,7 @@ export default function Scanner() {
 		fieldset(
 			{ style: 'margin-top: 10px' },
 			label({ htmlFor: 'result' }, 'Decoded Barcodes: '),
-			ol({ id: 'result' }, barcodeElements),
+			ol({ id: 'result' }, list(barcodes, (text) => text, (text) => li(text))),
 		),
 		div(
 			{ style: 'margin-top: 10px' },
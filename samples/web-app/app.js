@@ -32,17 +32,23 @@ effect(() => {
 
 // Initialize the router and define routes.
 // The router instance is stored in the app state for potential use in components or state logic.
-state.router = new HistoryRouter(document.body, "/", {
-	'/': App,
-	'/user/all': () => state.logged
-		? UsersView()
-		: text(`Unauthorized. Please login first.`),
-	'/user/:id': (_prevUri, _nowUri, userId) => state.logged
-		? UserView({ userId: Number(userId) })
-		: text(`Unauthorized. Please login first.`),
-	'/error/:code': (_prevUri, _nowUri, code) =>
-		pre(`Error:\n${JSON.stringify(decodeURIComponent(code), null, 2)}`),
-}, state.route);
+state.router = new HistoryRouter(document.body, "/", [
+	{ path: '/', name: 'home', component: App },
+	{
+		path: '/user',
+		// the user pages require login, redirect to the unauthorized page
+		beforeEnter: () => state.logged || '/unauthorized',
+		children: [
+			{ path: 'all', name: 'users', component: () => UsersView() },
+			{ path: ':id', name: 'user', component: ({ params }) => UserView({ userId: Number(params['id']) }) },
+		],
+	},
+	{ path: '/unauthorized', component: () => text(`Unauthorized. Please login first.`) },
+	{
+		path: '/error/:code',
+		component: ({ params }) => pre(`Error:\n${JSON.stringify(params['code'], null, 2)}`),
+	},
+], state.route);
 
 // Root component of the app, displayed at the "/" route.
 function App() {
@@ -68,7 +74,7 @@ function App() {
 			style: { color: color } // Computed signal drives the style
 		}),
 		LoginButton(),
-		button({ onclick: () => state.router?.go('/user/all') }, 'Go to Users'),
+		button({ onclick: () => state.router?.go({ name: 'users' }) }, 'Go to Users'),
 	)
 }
 
@@ -12,7 +12,7 @@ export function UsersView() {
 		ol(...users.value.map((user) =>
 			li(
 				button(
-					{ onclick: () => state.navigateTo(`/user/${user.id}`) },
+					{ onclick: () => state.navigateTo({ name: 'user', params: { id: user.id } }) },
 					`User ${user.id}`
 				)
 			)
@@ -71,14 +71,14 @@ class AppState extends Observable {
 	//#region helper methods
 
 	/**
-	 * Navigate to a specified path using the router if available, or fallback to changing window location.
-	 * @param {string} path - The path to navigate to.
+	 * Navigate to a specified path or named route using the router if available, or fallback to changing window location.
+	 * @param {string|import("seui/router").RouteLocation} path - The path or the named route to navigate to.
 	 */
 	navigateTo(path) {
 		if (typeof this.router?.go === "function") {
 			return this.router.go(path)
 		}
-		window.location.href = path // Or .hash = `#!${path}`
+		if (typeof path === "string") window.location.href = path // Or .hash = `#!${path}`
 	}
 
 	/**
@@ -0,0 +1,329 @@
+import { signal, computed, effect, batch, untrack } from "./index.js"
+
+/**
+ * Form state and validation on top of the signals.
+ *
+ * Each field has signals for its value, touched, dirty, error and validating state.
+ * The fields are bound to the `tags` elements with `register`, which also integrates
+ * the native constraint validation (e.g. `required`, `type="email"`) with `setCustomValidity`.
+ *
+ * @example
+ * import { createForm } from "seui/form"
+ * const loginForm = createForm({
+ * 	initialValues: { email: "", password: "" },
+ * 	validate: (values) => ({ password: values.password.length < 8 ? "Too short" : undefined }),
+ * 	onSubmit: (values) => login(values),
+ * })
+ */
+
+/**
+ * @template T
+ * @typedef {import("./index.js").Signal<T>} Signal
+ */
+
+/**
+ * A validator returns the error message, or nothing when the value is valid. It can be async.
+ * @template V
+ * @typedef {(value: *, values: V) => string|null|undefined|false|Promise<string|null|undefined|false>} FieldValidator
+ */
+
+/**
+ * @template V
+ * @typedef {Object} FormOptions
+ * @prop {V} initialValues The initial values of the fields, by field name.
+ * @prop {(values: V) => {[K in keyof V]?: string|null|undefined|false}|void|Promise<{[K in keyof V]?: string|null|undefined|false}|void>} [validate]
+ * Validates all the values, returns the error messages by field name. It can be async.
+ * @prop {{[K in keyof V]?: FieldValidator<V>}} [validators] The validators of the single fields.
+ * @prop {(values: V) => any} [onSubmit] Called with the values, when the form is submitted and valid. It can be async.
+ */
+
+/**
+ * @template T
+ * @typedef {Object} FormField
+ * @prop {Signal<T>} value The value of the field.
+ * @prop {Signal<boolean>} touched Whether the field has been blurred, or the form submitted.
+ * @prop {Signal<boolean>} dirty Whether the value differs from the initial value.
+ * @prop {Signal<string|null>} error The error message of the field.
+ * @prop {Signal<boolean>} validating Whether an async validation of the field is pending.
+ */
+
+/**
+ * Compares the values of a field, the arrays and objects are compared by their content.
+ * @param {*} a
+ * @param {*} b
+ */
+const isEqual = (a, b) => Object.is(a, b)
+	|| (a != null && b != null && typeof a === "object" && typeof b === "object" && JSON.stringify(a) === JSON.stringify(b))
+
+/**
+ * Create the state of a form.
+ * @template {{[name: string]: any}} V
+ * @param {FormOptions<V>} options
+ * @example
+ * const { form, input, button, p } = tags
+ * const contact = createForm({
+ * 	initialValues: { email: "", message: "" },
+ * 	validators: { email: async (value) => (await isBlocked(value)) && "This email is blocked" },
+ * 	onSubmit: async (values) => await send(values),
+ * })
+ * form({ onsubmit: contact.handleSubmit, novalidate: true },
+ * 	input({ type: "email", required: true, ...contact.register("email") }),
+ * 	p({ className: "error" }, contact.fields.email.error),
+ * 	button({ disabled: contact.submitting }, "Send"),
+ * )
+ */
+export const createForm = (options) => {
+	const { validate, onSubmit } = options
+	/** @type {{[K in keyof V]?: FieldValidator<V>}} */
+	const validators = options.validators || {}
+	/** @type {V} */
+	let initialValues = { ...options.initialValues }
+	const submitting = signal(false)
+	const submitCount = signal(0)
+	/** @type {Signal<*>} */
+	const submitError = signal(null)
+
+	/** @type {{[K in keyof V]: FormField<V[K]>}} */
+	const fields = /** @type {*} */ ({})
+	/** @type {{[name: string]: Set<*>}} the registered elements of each field */
+	const elements = {}
+	/** @type {{[name: string]: number}} the latest validation of each field, to ignore the outdated results */
+	const versions = {}
+	for (const name of Object.keys(initialValues)) {
+		const value = signal(initialValues[name])
+		/** @type {FormField<*>} */
+		const field = {
+			value,
+			touched: signal(false),
+			dirty: computed(() => !isEqual(value.value, initialValues[name])),
+			error: signal(/** @type {string|null} */(null)),
+			validating: signal(false),
+		}
+		// @ts-ignore the keys of the values
+		fields[name] = field
+		elements[name] = new Set()
+		versions[name] = 0
+	}
+	const names = /** @type {Array<keyof V & string>} */ (Object.keys(fields))
+
+	const values = computed(() => {
+		/** @type {{[name: string]: *}} */
+		const result = {}
+		for (const name of names) result[name] = fields[name].value.value
+		return /** @type {V} */ (result)
+	})
+	const errors = computed(() => {
+		/** @type {{[K in keyof V]?: string}} */
+		const result = {}
+		for (const name of names) {
+			const error = fields[name].error.value
+			if (error) result[name] = error
+		}
+		return result
+	})
+	const dirty = computed(() => names.some(name => fields[name].dirty.value))
+	const validating = computed(() => names.some(name => fields[name].validating.value))
+	const valid = computed(() => Object.keys(errors.value).length === 0)
+
+	/**
+	 * Sets the error of a field, and the custom validity of its elements.
+	 * @param {keyof V & string} name
+	 * @param {string|null} error
+	 */
+	const setError = (name, error) => {
+		fields[name].error.value = error
+		for (const el of elements[name] || []) el.setCustomValidity?.(error || "")
+	}
+
+	/**
+	 * Returns the native validation message of the elements of the field (e.g. `required`).
+	 * @param {keyof V & string} name
+	 * @returns {string|null}
+	 */
+	const nativeError = (name) => {
+		for (const el of elements[name] || []) {
+			if (!el.validity) continue
+			el.setCustomValidity("") // only the native constraints
+			if (!el.validity.valid) return el.validationMessage || "Invalid value"
+		}
+		return null
+	}
+
+	/**
+	 * Validates the fields. The error of a field is the error of its validator,
+	 * the error returned by the `validate` option, or the native validation message.
+	 * @param {Array<keyof V & string>} [fieldNames] The fields to validate, all the fields by default.
+	 * @returns {Promise<boolean>} Whether the fields are valid. Resolves `false`, when a newer validation was started,
+	 * or a validator failed (its error is set to the field, or to `submitError` for the `validate` option).
+	 */
+	const validateFields = async (fieldNames = names) => {
+		/** @type {{[name: string]: number}} */
+		const started = {}
+		for (const name of fieldNames) started[name] = versions[name] = (versions[name] || 0) + 1
+		const current = untrack(() => values.value)
+		batch(() => {
+			for (const name of fieldNames) fields[name].validating.value = true
+		})
+		try {
+			/** @type {*} */
+			let formError = null
+			// a throwing validator is an error of its field, a throwing `validate` is the submit error
+			const [formErrors, fieldErrors] = await Promise.all([
+				(async () => validate?.(current))().catch((error) => {
+					formError = error
+				}),
+				Promise.all(fieldNames.map(name => (async () => validators[name]?.(current[name], current))()
+					.catch((error) => error?.message || String(error)))),
+			])
+			let isValid = formError == null
+			batch(() => {
+				if (formError != null) submitError.value = formError
+				fieldNames.forEach((name, i) => {
+					if (versions[name] !== started[name]) {
+						isValid = false // outdated
+						return
+					}
+					const error = fieldErrors[i] || formErrors?.[name] || nativeError(name) || null
+					if (error) isValid = false
+					setError(name, error)
+				})
+			})
+			return isValid
+		} catch (error) {
+			submitError.value = error
+			return false
+		} finally {
+			batch(() => {
+				for (const name of fieldNames) {
+					if (versions[name] === started[name]) fields[name].validating.value = false
+				}
+			})
+		}
+	}
+
+	// a field is validated again when its value changes, once it has been touched
+	for (const name of names) {
+		const field = fields[name]
+		let initialized = false
+		effect(() => {
+			field.value.value
+			untrack(() => {
+				if (initialized && (field.touched.value || submitCount.value > 0)) validateFields([name])
+				initialized = true
+			})
+		})
+	}
+
+	/**
+	 * Submits the form: marks all the fields touched, validates them
+	 * and calls `onSubmit` with the values when they are valid.
+	 * @returns {Promise<boolean>} Whether the form was valid and submitted without errors.
+	 */
+	const submit = async () => {
+		batch(() => {
+			submitCount.value++
+			submitError.value = null
+			for (const name of names) fields[name].touched.value = true
+		})
+		if (!await validateFields()) {
+			// focus the first invalid element
+			const invalid = names.find(name => fields[name].error.peek())
+			if (invalid) Array.from(elements[invalid] || [])[0]?.focus?.()
+			return false
+		}
+		submitting.value = true
+		try {
+			await onSubmit?.(untrack(() => values.value))
+			return true
+		} catch (error) {
+			submitError.value = error
+			return false
+		} finally {
+			submitting.value = false
+		}
+	}
+
+	/**
+	 * Resets the fields to the initial values, or to the new initial values.
+	 * @param {Partial<V>} [newValues] optional. The new initial values.
+	 */
+	const reset = (newValues) => {
+		if (newValues) initialValues = { ...initialValues, ...newValues }
+		batch(() => {
+			for (const name of names) {
+				versions[name] = (versions[name] || 0) + 1 // ignore the pending validations
+				fields[name].value.value = initialValues[name]
+				fields[name].touched.value = false
+				fields[name].validating.value = false
+				setError(name, null)
+			}
+			submitCount.value = 0
+			submitError.value = null
+		})
+	}
+
+	return {
+		fields,
+		values,
+		errors,
+		dirty,
+		valid,
+		validating,
+		submitting,
+		submitCount,
+		submitError,
+		/**
+		 * Returns the props to bind an element to the field: the name, a two-way binding (`model`),
+		 * marking the field touched on blur and the native constraint validation.
+		 * @param {keyof V & string} name The field name.
+		 * @returns {{[prop: string]: any}}
+		 * @example
+		 * input({ type: "email", required: true, ...loginForm.register("email") })
+		 */
+		register: (name) => {
+			const field = fields[name]
+			if (!field) throw new Error(`Unknown form field "${name}"`)
+			return {
+				name,
+				model: field.value,
+				onblur: () => {
+					if (field.touched.peek()) return
+					field.touched.value = true
+					validateFields([name])
+				},
+				/** @param {Event} e */
+				oncreate: (e) => elements[name]?.add(e.target),
+				/** @param {Event} e */
+				onunmount: (e) => elements[name]?.delete(e.target),
+			}
+		},
+		/**
+		 * Sets the value of a field.
+		 * @template {keyof V & string} K
+		 * @param {K} name
+		 * @param {V[K]} value
+		 */
+		setValue: (name, value) => {
+			fields[name].value.value = value
+		},
+		/**
+		 * Sets the error of a field, e.g. from the response of the server.
+		 * @param {keyof V & string} name
+		 * @param {string|null} error
+		 */
+		setError,
+		validate: validateFields,
+		submit,
+		/**
+		 * The submit event handler. Prevents the default submission and calls `submit`.
+		 * @param {Event} [e]
+		 */
+		handleSubmit: (e) => {
+			e?.preventDefault()
+			return submit()
+		},
+		reset,
+	}
+}
+
+export default createForm
@@ -1,15 +1,59 @@
+import { currentDocument, toKebabCase, scopedStyles } from "./internal.js"
+
 //#region signal
 const SIGNAL = "__signal__"
+// Node states, an observer is re-run only when one of its sources really changed
+const CLEAN = 0 // up to date
+const CHECK = 1 // a source further up the graph changed, the direct sources must be checked
+const DIRTY = 2 // a direct source changed, must re-run
 let activeEffect
-let batching = false
-const dirtyEffects = new Set()
+let activeOwner
+let batchDepth = 0
+let scheduler = "sync"
+let flushScheduled = false
+let flushing = false
+const pendingEffects = new Set()
 
 /**
  * @template T
  * @typedef {Object} Signal
  * @property {T} value - The current value of the signal. Can be read and written.
  * @property {0|1} __signal__ - A marker property to identify signal or computed objects.
+ * @property {() => T} peek - Reads the current value without subscribing to it.
+ * @property {(updater: (currentValue: T) => T) => void} update - Writes a new value based on the current value.
+ * @property {(callback: (newValue: T, oldValue: T) => void) => (() => void)} subscribe - Calls the callback when the value changes. Returns an unsubscribe function.
+ */
+
+/**
+ * @template T
+ * @typedef {Object} SignalOptions
+ * @property {false|((oldValue: T, newValue: T) => boolean)} [equals] - Decides if the new value is equal to the old one,
+ * so the subscribers are not notified. Defaults to `===`. Pass `false` to always notify.
+ */
+
+/**
+ * @template T
+ * @typedef {SignalOptions<T> & { set?: (newValue: T) => void }} ComputedOptions
+ * Pass a `set` function to make the computed writable, it is called when the value is written to.
+ */
+
+/** Does nothing, e.g. the cleanup of a listener that was not added. */
+function noop() { /* noop */ }
+
+/**
+ * Checks if the value has changed, using the `equals` option.
+ * @template T
+ * @param {SignalOptions<T>|undefined} options
+ * @param {T} oldValue
+ * @param {T} newValue
+ * @returns {boolean}
  */
+const hasChanged = (options, oldValue, newValue) => {
+	const equals = options?.equals
+	if (equals === false) return true
+	if (typeof equals === "function") return !equals(oldValue, newValue)
+	return oldValue !== newValue
+}
 
 /**
  * Creates a reactive signal object.
@@ -18,84 +62,321 @@ const dirtyEffects = new Set()
  * Signals are used to manage simple, isolated reactive values.
  * @template T
  * @param {T} value The initial value of the signal.
+ * @param {SignalOptions<T>} [options] optional. Set a custom `equals` function, or `false` to notify on every write.
  * @returns {Signal<T>} A reactive signal object.
+ * @example
+ * const barcodes = signal([], { equals: false })
+ * barcodes.value.push("123")
+ * barcodes.value = barcodes.value // notifies, even though it is the same array
+ * @example
+ * const point = signal({ x: 0, y: 0 }, { equals: (a, b) => a.x === b.x && a.y === b.y })
+ * point.value = { x: 0, y: 0 } // does not notify
  */
-export const signal = (value) => {
-	const subscribers = new Set()
-	return {
+export const signal = (value, options) => {
+	const node = { observers: new Set() }
+	/** @type {Signal<T>} */
+	const obj = {
 		[SIGNAL]: 0, // to detect signal objects
 		get value() {
-			// console.log('\x1b[32m[signal] read (1):\x1b[0m', value, subscribers.size, activeEffect)
-			if (activeEffect) {
-				subscribers.add(activeEffect)
-				activeEffect.deps.add(subscribers) // For cleanup later
-			}
+			// console.log('\x1b[32m[signal] read (1):\x1b[0m', value, node.observers.size, activeEffect)
+			track(node)
 			return value
 		},
 		set value(newValue) {
-			// console.log('\x1b[32m[signal] write:\x1b[0m', value, newValue, subscribers.size, activeEffect)
-			if (value === newValue) return
+			// console.log('\x1b[32m[signal] write:\x1b[0m', value, newValue, node.observers.size, activeEffect)
+			if (!hasChanged(options, value, newValue)) return
 			value = newValue
-			const copyOfSubscribers = Array.from(subscribers)
-			for (const sub of copyOfSubscribers) {
-				if (batching) {
-					dirtyEffects.add(sub) // Just mark it "dirty" for now
-				} else {
-					sub.run() // Immediate update
-				}
+			markObservers(node, DIRTY)
+			requestFlush()
+		},
+		peek: () => value,
+		update: (updater) => (obj.value = updater(value)),
+		subscribe: (callback) => subscribe(obj, callback),
+	}
+	return obj
+}
+
+/**
+ * Calls the callback whenever the value of the signal or computed changes.
+ * The callback is not called for the current value and does not track the signals it reads.
+ * @template T
+ * @param {Signal<T>} source - The signal or computed to subscribe to.
+ * @param {(newValue: T, oldValue: T) => void} callback - The function to call with the new and old value.
+ * @returns {() => void} A function to unsubscribe.
+ */
+function subscribe(source, callback) {
+	let initialized = false
+	/** @type {T} */
+	let oldValue
+	return effect(() => {
+		const newValue = source.value
+		if (initialized) untrack(() => callback(newValue, oldValue))
+		initialized = true
+		oldValue = newValue
+	})
+}
+
+/**
+ * Tracks a read of a signal or computed node by the running effect or computed.
+ * @param {Object} source - The node that was read.
+ */
+function track(source) {
+	if (activeEffect) {
+		source.observers.add(activeEffect)
+		activeEffect.sources.add(source) // For cleanup later
+	}
+}
+
+/**
+ * Marks the observers of a node, and the observers of those as `CHECK`.
+ * Computed values are only marked here and re-calculated when read,
+ * effects are scheduled once, no matter how many of their sources changed.
+ * @param {Object} source - The node that changed.
+ * @param {typeof CHECK|typeof DIRTY} state - The state to mark the direct observers with.
+ */
+function markObservers(source, state) {
+	for (const observer of source.observers) {
+		if (observer.state >= state) continue
+		const wasClean = observer.state === CLEAN
+		observer.state = state
+		if (!wasClean) continue // already marked or scheduled
+		if (observer.observers) {
+			markObservers(observer, CHECK)
+		} else {
+			scheduleEffect(observer)
+		}
+	}
+}
+
+/**
+ * Brings the computed sources of a node up to date.
+ * If any of them changed, the node is marked `DIRTY`, otherwise it is `CLEAN`.
+ * @param {Object} node - The effect or computed node to check.
+ */
+function updateSources(node) {
+	if (node.state === CHECK) {
+		for (const source of node.sources) {
+			try {
+				if (source.update) source.update()
+			} catch {
+				// re-run the node, so the error is thrown again where it can be handled
+				node.state = DIRTY
 			}
+			if (node.state === DIRTY) break
+		}
+		if (node.state === CHECK) node.state = CLEAN
+	}
+}
+
+/**
+ * Schedules an effect object to re-run on the next flush.
+ * @param {Object} effectObj - The effect object to schedule.
+ */
+function scheduleEffect(effectObj) {
+	pendingEffects.add(effectObj)
+}
+
+/**
+ * Flushes the pending effects after a write.
+ * Runs them immediately, unless inside a batch or the microtask scheduler is in use.
+ */
+function requestFlush() {
+	if (batchDepth > 0 || flushing || !pendingEffects.size) return
+	if (scheduler === "microtask") {
+		if (!flushScheduled) {
+			flushScheduled = true
+			queueMicrotask(flushSync)
 		}
+	} else {
+		flushSync() // Immediate update
 	}
 }
 
 /**
- * Cleans up the dependencies of an effect object.
+ * Cleans up the dependencies of an effect or computed node.
  * This function is used internally by the effect API to clean up
- * after an effect has been run.
- * @param {Object} effectObj - The effect object to clean up.
+ * before an effect is re-run.
+ * @param {Object} node - The effect or computed node to clean up.
+ */
+function cleanup(node) {
+	for (const source of node.sources) {
+		source.observers.delete(node)
+	}
+	node.sources.clear()
+}
+
+/**
+ * Runs and clears the cleanup functions registered to an owner (effect or root).
+ * @param {{cleanups: Array<()=>void>}} owner - The owner to clean up.
+ */
+function runOwnerCleanups(owner) {
+	const cleanups = owner.cleanups.splice(0)
+	for (const fn of cleanups) fn()
+}
+
+/**
+ * Registers a cleanup function to the running effect or root.
+ * The function is run before the effect re-runs and when the effect or root is disposed.
+ * @param {()=>void} fn The cleanup function.
+ * @example
+ * effect(() => {
+ * 	const timer = setInterval(() => console.log(count.value), 1000)
+ * 	onCleanup(() => clearInterval(timer))
+ * })
  */
-function cleanup(effectObj) {
-	for (const subSet of effectObj.deps) {
-		subSet.delete(effectObj)
+export const onCleanup = (fn) => {
+	if (activeOwner) {
+		activeOwner.cleanups.push(fn)
+	} else {
+		console.warn("onCleanup called outside of an effect or createRoot, it will never run")
 	}
-	effectObj.deps.clear()
+}
+
+/**
+ * Provides a context value for the effects and roots created after this call,
+ * in the running effect or root and all of their children.
+ * @param {symbol} key - The context key.
+ * @param {*} value - The context value.
+ */
+const provideContext = (key, value) => {
+	if (activeOwner) activeOwner.context = { ...activeOwner.context, [key]: value }
+}
+
+/**
+ * Reads a context value provided by the running effect or root, or one of their parents.
+ * @param {symbol} key - The context key.
+ * @returns {*} The context value or `undefined`.
+ */
+const getContext = (key) => activeOwner?.context?.[key]
+
+const ERROR_BOUNDARY = Symbol("error boundary")
+
+/**
+ * Passes the error to the closest error boundary of the context, or throws it if there is none.
+ * @param {*} error - The error to handle.
+ * @param {Object} [context] - The owner context, where the error happened.
+ */
+const handleError = (error, context) => {
+	const onError = context?.[ERROR_BOUNDARY]
+	if (typeof onError !== "function") throw error
+	onError(error)
 }
 
 /**
  * Creates an effect object.
- * An effect is a reactive object that can be read and written.
- * When an effect is written to, all effects subscribed to it will be re-run.
- * Effects are used to manage complex, nested reactive data structures.
+ * An effect is a function that is re-run whenever the signals it reads are changed.
+ * Effects run at most once per change and only after the computed values they read are up to date.
+ * Effects are used to sync the reactive state with the outside world, e.g. the DOM.
+ *
+ * The function may return a cleanup function, that is run before each re-run and on dispose.
+ * Effects created inside of an effect or a root are disposed along with it.
  * @param {()=>any} fn The function to be executed when the effect is re-run.
  * @returns {()=>void} A function that, when called, will manually dispose of the effect object.
+ * @example
+ * const stop = effect(() => {
+ * 	const timer = setInterval(() => console.log(count.value), 1000)
+ * 	return () => clearInterval(timer)
+ * })
  */
 export const effect = (fn) => {
 	const effectObj = {
-		deps: new Set(),
+		sources: new Set(),
+		/** @type {Array<()=>void>} */
+		cleanups: [],
+		context: activeOwner?.context,
+		state: DIRTY,
+		disposed: false,
 		run() {
+			if (effectObj.disposed) return
+			updateSources(effectObj) // skip, if none of the computed sources changed
+			if (effectObj.state === CLEAN) return
+			runOwnerCleanups(effectObj) // Run the cleanups of the previous run
 			cleanup(effectObj) // Clear old deps before re-running
+			effectObj.state = CLEAN // writes during the run will schedule it again
 			const prevEffect = activeEffect
-			activeEffect = effectObj
-			try { fn() } finally {
+			const prevOwner = activeOwner
+			activeEffect = activeOwner = effectObj
+			try {
+				const result = fn()
+				if (typeof result === "function") effectObj.cleanups.push(result)
+			} catch (err) {
+				handleError(err, effectObj.context)
+			} finally {
 				activeEffect = prevEffect
+				activeOwner = prevOwner
 			}
 		}
 	}
+	const dispose = () => {
+		if (effectObj.disposed) return
+		effectObj.disposed = true
+		pendingEffects.delete(effectObj)
+		runOwnerCleanups(effectObj)
+		cleanup(effectObj)
+	}
+	// The parent effect or root disposes this effect along with itself
+	if (activeOwner) activeOwner.cleanups.push(dispose)
 	// console.log('\x1b[33m[signal] effect:\x1b[0m', effectObj)
 	effectObj.run()
-	return () => cleanup(effectObj) // Return a manual disposer
+	return dispose // Return a manual disposer
+}
+
+/**
+ * Creates an owner scope for the effects created inside of it.
+ * All effects and `onCleanup` functions of the scope are disposed together,
+ * when the `dispose` function is called. The scope does not track signals.
+ *
+ * When the result is a node (or fragment, or an array of nodes), the `dispose` is also
+ * attached to the cleanup bucket of the first seui node. So the effects are disposed
+ * when the node is removed from the DOM.
+ * @template T
+ * @param {(dispose: ()=>void) => T} fn The function to run inside the scope.
+ * @returns {T} The return value of `fn`.
+ * @example
+ * const Clock = () => createRoot(() => {
+ * 	const now = signal(new Date())
+ * 	effect(() => {
+ * 		const timer = setInterval(() => (now.value = new Date()), 1000)
+ * 		return () => clearInterval(timer) // cleared when the span is removed
+ * 	})
+ * 	return span(computed(() => now.value.toLocaleTimeString()))
+ * })
+ */
+export const createRoot = (fn) => {
+	const owner = { cleanups: [], context: activeOwner?.context }
+	const dispose = () => runOwnerCleanups(owner)
+	const prevEffect = activeEffect
+	const prevOwner = activeOwner
+	activeEffect = undefined
+	activeOwner = owner
+	let result
+	try {
+		result = fn(dispose)
+	} finally {
+		activeEffect = prevEffect
+		activeOwner = prevOwner
+	}
+	const nodes = isFragment(result) ? fragmentNodes(result)
+		: Array.isArray(result) ? result : [result]
+	const node = nodes.find(n => isNode(n) && n[SEUI] === 1)
+	if (node) addCleanup(node, dispose)
+	return result
 }
 
 /**
  * Creates a computed reactive value.
- * A computed is a reactive object that can be read and written.
- * When a computed is written to, all effects subscribed to it will be re-run.
+ * A computed is a reactive value derived from other signals or computed values.
+ * When one of them changes, the effects subscribed to the computed will be re-run,
+ * but only if the re-calculated value is not equal to the cached value.
  * Computed values are lazily evaluated, meaning they are only re-calculated when their value is requested.
  * Computed values can be thought of as cached effects.
  * They are used to manage complex, nested reactive data structures.
  * @template T
  * @param {()=>T} fn The function to be executed when the computed's value is requested.
+ * @param {ComputedOptions<T>} [options] optional. Pass a `set` function to make the computed writable,
+ * or a custom `equals` function to decide when the effects depending on it are re-run.
  * @returns {Signal<T>} A reactive object with a getter function.
+ * @throws {TypeError} When writing to a computed, that has no `set` function.
  * @example
  * const count = signal(0)
  * const color = computed(() => count.value % 2 === 0 ? "blue" : "red")
@@ -107,55 +388,300 @@ export const effect = (fn) => {
  * const barcodes = signal([])
  * const barcodeElements = computed(() => barcodes.value.map((text) => li(text)))
  * ol(barcodeElements)
+ * @example
+ * const celsius = signal(20)
+ * const fahrenheit = computed(() => celsius.value * 9 / 5 + 32, {
+ * 	set: (value) => (celsius.value = (value - 32) * 5 / 9)
+ * })
+ * fahrenheit.value = 212 // celsius.value is 100
  */
-export const computed = (fn) => {
-	let cachedValue
-	let isDirty = true // Does the value need re-calculating?
-
+export const computed = (fn, options) => {
 	// A Computed is essentially an Effect that also acts as a Signal
-	const effectObj = {
-		deps: new Set(),
-		run() {
-			if (!isDirty) {
-				isDirty = true
-				// Tell everyone listening to THIS computed that we are now dirty
-				const copyOfSubscribers = Array.from(subscribers)
-				for (const sub of copyOfSubscribers) sub.run()
+	const node = {
+		observers: new Set(),
+		sources: new Set(),
+		state: DIRTY, // Does the value need re-calculating?
+		initialized: false,
+		/** @type {T|undefined} */
+		value: undefined,
+		update() {
+			updateSources(node)
+			if (node.state !== DIRTY) return
+			const prevValue = node.value
+			cleanup(node)
+			const prevEffect = activeEffect
+			activeEffect = node
+			try {
+				node.value = fn() // Calculate & discover inner dependencies
+			} finally {
+				activeEffect = prevEffect
+			}
+			node.state = CLEAN
+			const changed = !node.initialized || hasChanged(options, /** @type {T} */(prevValue), node.value)
+			node.initialized = true
+			// Tell the observers waiting on THIS computed, that they must re-run
+			if (changed) {
+				for (const observer of node.observers) {
+					if (observer.state === CHECK) observer.state = DIRTY
+				}
 			}
 		}
 	}
 
-	const subscribers = new Set()
-
-	return {
+	/** @type {Signal<T>} */
+	const obj = {
 		[SIGNAL]: 1, // to detect computed objects (optional, since they are also signals)
 		get value() {
 			// 1. Dependency Tracking (as a Signal)
-			if (activeEffect) {
-				subscribers.add(activeEffect)
-				activeEffect.deps.add(subscribers)
+			track(node)
+			// 2. Lazy Evaluation (The "Brain")
+			node.update()
+			return /** @type {T} */ (node.value)
+		},
+		set value(newValue) {
+			if (typeof options?.set !== "function") {
+				throw new TypeError("Cannot write to a computed without a set function")
 			}
+			options.set(newValue)
+		},
+		peek: () => untrack(() => obj.value),
+		update: (updater) => (obj.value = updater(obj.peek())),
+		subscribe: (callback) => subscribe(obj, callback),
+	}
+	return obj
+}
 
-			// 2. Lazy Evaluation (The "Brain")
-			if (isDirty) {
-				const prevEffect = activeEffect
-				activeEffect = effectObj
-				try {
-					cachedValue = fn() // Calculate & discover inner dependencies
-				} finally {
-					activeEffect = prevEffect
+const STORE_RAW = "__store_raw__"
+const ITERATE = Symbol("iterate")
+const ARRAY_MUTATORS = ["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"]
+/** @type {WeakMap<object, any>} */
+const storeProxies = new WeakMap()
+
+/**
+ * Checks if the value is a plain object or an array, that can be wrapped by a store.
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isStorable = (value) => {
+	if (value == null || typeof value !== "object") return false
+	const proto = Object.getPrototypeOf(value)
+	return Array.isArray(value) || proto === Object.prototype || proto === null
+}
+
+/**
+ * Creates a deep reactive store of a plain object or an array.
+ * Every property read is tracked on its own, so an effect re-runs only when
+ * the properties it has read are changed. Nested objects and arrays are wrapped
+ * on access and can be mutated in place, including the array methods like `push`.
+ *
+ * @template {object} T
+ * @param {T} target The object or array to wrap. It is mutated by the store.
+ * @returns {T} The reactive proxy of the target.
+ * @throws {TypeError} If the target is not a plain object or an array.
+ * @example
+ * const state = store({ user: { name: "Jane" }, todos: [] })
+ * effect(() => console.log(state.user.name)) // re-runs only when the name changes
+ * state.user.name = "John"
+ * state.todos.push({ id: 1, title: "Write docs" })
+ * ul(list(() => state.todos, (todo) => todo.id, (todo) => li(todo.title)))
+ */
+export const store = (target) => {
+	if (!isStorable(target)) {
+		throw new TypeError("Store target must be a plain object or an array")
+	}
+	return createStoreProxy(target)
+}
+
+/**
+ * Wraps the raw object with a reactive proxy, reusing the existing one.
+ * @param {*} raw
+ * @returns {*}
+ */
+function createStoreProxy(raw) {
+	if (storeProxies.has(raw)) return storeProxies.get(raw)
+	/** @type {Map<string|symbol, {observers: Set<any>}>} */
+	const nodes = new Map()
+	const getNode = (key) => {
+		let node = nodes.get(key)
+		if (!node) nodes.set(key, node = { observers: new Set() })
+		return node
+	}
+	const trigger = (key) => {
+		const node = nodes.get(key)
+		if (node) markObservers(node, DIRTY)
+	}
+	const proxy = new Proxy(raw, {
+		get(currentTarget, key, receiver) {
+			if (key === STORE_RAW) return currentTarget
+			const value = Reflect.get(currentTarget, key, receiver)
+			if (Array.isArray(currentTarget) && typeof key === "string" && ARRAY_MUTATORS.includes(key)) {
+				// run the mutators untracked and notify once, so an effect can push without subscribing to the length
+				return (...args) => untrack(() => batch(() => value.apply(receiver, args)))
+			}
+			track(getNode(key))
+			return isStorable(value) ? createStoreProxy(value) : value
+		},
+		has(currentTarget, key) {
+			track(getNode(key))
+			return Reflect.has(currentTarget, key)
+		},
+		ownKeys(currentTarget) {
+			track(getNode(ITERATE))
+			return Reflect.ownKeys(currentTarget)
+		},
+		set(currentTarget, key, newValue) {
+			const value = newValue?.[STORE_RAW] ?? newValue // store the raw objects only
+			const hadKey = Object.hasOwn(currentTarget, key)
+			const oldValue = currentTarget[key]
+			const oldLength = Array.isArray(currentTarget) ? currentTarget.length : 0
+			currentTarget[key] = value
+			batch(() => {
+				if (oldValue !== value) trigger(key)
+				if (!hadKey) trigger(ITERATE)
+				if (Array.isArray(currentTarget) && currentTarget.length !== oldLength) {
+					trigger("length")
+					trigger(ITERATE)
+					// the items removed by shrinking the array (e.g. `arr.length = 0`)
+					for (let i = currentTarget.length; i < oldLength; i++) trigger(String(i))
 				}
-				isDirty = false
+			})
+			return true
+		},
+		deleteProperty(currentTarget, key) {
+			const hadKey = Object.hasOwn(currentTarget, key)
+			const result = Reflect.deleteProperty(currentTarget, key)
+			if (result && hadKey) {
+				batch(() => {
+					trigger(key)
+					trigger(ITERATE)
+				})
 			}
-			return cachedValue
+			return result
+		}
+	})
+	storeProxies.set(raw, proxy)
+	return proxy
+}
+
+const SUSPENSE = Symbol("suspense")
+
+/**
+ * @template T
+ * @typedef {Signal<T|undefined> & { loading: Signal<boolean>, error: Signal<any>, refetch: () => void }} Resource
+ */
+
+/**
+ * @template T, S
+ * @typedef {(source: S, info: { signal: AbortSignal }) => T|Promise<T>} ResourceFetcher
+ */
+
+/**
+ * Creates an async resource, that loads its value with the fetcher.
+ * The resource is a signal of the loaded value, with `loading` and `error` signals.
+ * It refetches when the source changes, aborts the stale requests with an `AbortController`
+ * and ignores the responses that arrive out of order. No request is made while the source is
+ * `null`, `undefined` or `false`. Resources created inside `suspense` show its fallback while loading.
+ *
+ * @template T, S
+ * @param {Signal<S>|(()=>S)|ResourceFetcher<T, true>} source The source signal or function, or the fetcher when there is no source.
+ * @param {ResourceFetcher<T, S>} [fetcher] Loads the value for the source. Pass the `signal` to `fetch` for aborting.
+ * @param {{ initialValue?: T }} [options] optional. The value before the first load.
+ * @returns {Resource<T>} The resource signal.
+ * @example
+ * const userId = signal(1)
+ * const user = resource(userId, (id, { signal }) => fetch(`/api/users/${id}`, { signal }).then(r => r.json()))
+ * div(
+ * 	when(user.loading, () => p("Loading...")),
+ * 	when(user.error, (err) => p(computed(() => `Error: ${err.value.message}`))),
+ * 	p(computed(() => user.value?.name)),
+ * )
+ * userId.value = 2 // aborts the request of user 1 and loads user 2
+ */
+export const resource = (source, fetcher, options) => {
+	/** @type {Signal<S>|(()=>S)|undefined} */
+	let sourceFn = /** @type {*} */ (source)
+	if (fetcher === undefined) {
+		fetcher = /** @type {ResourceFetcher<T, S>} */ (source)
+		sourceFn = undefined
+	}
+	const fetchFn = fetcher
+	const data = signal(options?.initialValue)
+	const loading = signal(false)
+	const error = signal(/** @type {any} */(undefined))
+	/** @type {AbortController|undefined} */
+	let controller
+	/** @type {S} */
+	let sourceValue
+	const load = () => {
+		controller?.abort()
+		controller = undefined
+		if (sourceValue == null || sourceValue === false) {
+			loading.value = false
+			return
+		}
+		const current = controller = new AbortController()
+		batch(() => {
+			loading.value = true
+			error.value = undefined
+		})
+		new Promise((resolve) => resolve(fetchFn(sourceValue, { signal: current.signal }))).then((result) => {
+			if (current !== controller) return // aborted or out of order
+			batch(() => {
+				data.value = /** @type {T} */ (result)
+				loading.value = false
+			})
+		}, (err) => {
+			if (current !== controller) return // aborted or out of order
+			batch(() => {
+				error.value = err
+				loading.value = false
+			})
+		})
+	}
+	effect(() => {
+		sourceValue = /** @type {S} */ (sourceFn === undefined ? true
+			: typeof sourceFn === "function" ? sourceFn() : sourceFn.value)
+		untrack(load)
+		// abort the request, when the source changes or the resource is disposed
+		return () => {
+			controller?.abort()
+			controller = undefined
 		}
+	})
+	// register to the closest suspense boundary
+	const boundary = getContext(SUSPENSE)
+	if (boundary) {
+		boundary.add(loading)
+		onCleanup(() => boundary.delete(loading))
+	}
+	/** @type {Resource<T>} */
+	const obj = {
+		[SIGNAL]: 1, // read-only like a computed, but can be written to for optimistic updates
+		get value() {
+			return data.value
+		},
+		set value(newValue) {
+			data.value = newValue
+		},
+		loading,
+		error,
+		refetch: () => untrack(load),
+		peek: data.peek,
+		update: data.update,
+		subscribe: data.subscribe,
 	}
+	return obj
 }
 
 /**
  * The effect batching
  *
- * @param {()=>void} fn - The function to be batched
+ * Effects triggered inside the batch are run once, after the outermost batch is done.
+ * Batches can be nested and the pending effects are run even if `fn` throws.
+ *
+ * @template T
+ * @param {()=>T} fn - The function to be batched
+ * @returns {T} The return value of `fn`
  * @example
  * const name = signal("John")
  * const age = signal(30)
@@ -169,11 +695,81 @@ export const computed = (fn) => {
  * stop()
  */
 export function batch(fn) {
-	batching = true
-	fn()
-	batching = false
-	for (const e of dirtyEffects) e.run()
-	dirtyEffects.clear()
+	batchDepth++
+	try {
+		return fn()
+	} finally {
+		batchDepth--
+		if (batchDepth === 0) flushSync()
+	}
+}
+
+/**
+ * Runs all pending effects synchronously.
+ * Effects triggered by the pending effects are run in the same flush.
+ * Useful in tests, when the microtask scheduler is in use.
+ * @throws {Error} If the effects keep triggering each other, e.g. an effect writes to its own dependency.
+ * @example
+ * setScheduler("microtask")
+ * count.value++
+ * flushSync() // effects of count are run now
+ */
+export function flushSync() {
+	flushScheduled = false
+	if (batchDepth > 0 || flushing) return // the outermost batch or flush will run them
+	flushing = true
+	const errors = []
+	try {
+		for (let i = 0; pendingEffects.size; i++) {
+			if (i >= 100) {
+				pendingEffects.clear()
+				throw new Error("Effect flush limit exceeded, an effect may be writing to its own dependency")
+			}
+			const effects = Array.from(pendingEffects)
+			pendingEffects.clear()
+			for (const e of effects) {
+				try { e.run() } catch (err) {
+					errors.push(err)
+				}
+			}
+		}
+	} finally {
+		flushing = false
+	}
+	if (errors.length) throw errors[0]
+}
+
+/**
+ * Sets how effects are scheduled, when a signal is written outside of a batch.
+ * - `"sync"` (default) runs the effects immediately on every write.
+ * - `"microtask"` coalesces the writes and runs the effects once in a microtask.
+ * @param {"sync"|"microtask"} mode The scheduler mode.
+ * @example
+ * setScheduler("microtask")
+ * for (let i = 0; i < 1000; i++) count.value++ // effects run once
+ */
+export function setScheduler(mode) {
+	scheduler = mode
+	if (mode === "sync") flushSync()
+}
+
+/**
+ * Run a function without tracking the signals read inside of it.
+ * @template T
+ * @param {()=>T} fn The function to run.
+ * @returns {T} The return value of `fn`.
+ * @example
+ * effect(() => {
+ * 	// re-runs only when count changes, not when step changes
+ * 	console.log(count.value + untrack(() => step.value))
+ * })
+ */
+export const untrack = (fn) => {
+	const prevEffect = activeEffect
+	activeEffect = undefined
+	try { return fn() } finally {
+		activeEffect = prevEffect
+	}
 }
 //#endregion signal
 
@@ -191,6 +787,84 @@ const SEUI = "__seui__"
  * @prop {LifecycleCallback} onunmount a callback to be invoked when the element is unmounted
  */
 
+/**
+ * Checks if the value is a DOM node. Uses the `nodeType`, so it works with a virtual DOM as well.
+ * @param {*} value
+ * @returns {value is Node}
+ */
+const isNode = (value) => value != null && typeof value === "object" && typeof value.nodeType === "number"
+
+/**
+ * Checks if the value is a document fragment.
+ * @param {*} value
+ * @returns {value is DocumentFragment}
+ */
+const isFragment = (value) => isNode(value) && value.nodeType === 11
+
+/**
+ * @typedef {Object} Hydration The state of `hydrate`, while the existing nodes are claimed.
+ * @prop {Set<Node>} existing The nodes rendered on the server (and the root).
+ * @prop {Set<Node>} claimed The existing nodes, that are reused.
+ * @prop {Map<Node, Node>} placed The last node placed in each existing parent.
+ * @prop {Array<HydrationScope|null>} scopes The existing elements processing their children,
+ * `null` for the new elements, that have no existing children to claim.
+ * @prop {Node|null} last The last claimed node, to pair the anchors.
+ * @prop {(message: string, node: Node) => void} report Reports a mismatch.
+ */
+/**
+ * @typedef {Object} HydrationScope
+ * @prop {Node} root The existing element (or the root), that contains the nodes to claim.
+ * @prop {Node|null} first The first node (in post-order), that may not be claimed yet.
+ */
+/** @type {Hydration|null} the state, while hydrating, see `hydrate` */
+let hydrating = null
+const HYDRATED_NODES = "__hydrated_nodes__"
+
+/**
+ * Returns the child nodes of a fragment.
+ * The reused nodes are not moved into the fragments while hydrating, so they are listed separately,
+ * along with the content placed between their anchors (e.g. the rows of a list).
+ * @param {DocumentFragment} fragment
+ * @returns {Node[]}
+ */
+const fragmentNodes = (fragment) => {
+	/** @type {Node[]|undefined} */
+	const nodes = fragment[HYDRATED_NODES]
+	if (!nodes) return Array.from(fragment.childNodes)
+	return nodes.flatMap((node, i) => {
+		const next = nodes[i + 1]
+		if (node.nodeType !== 8 || next?.nodeValue !== `/${node.nodeValue}` || next.parentNode !== node.parentNode) return [node]
+		/** @type {Node[]} */
+		const content = [node]
+		for (let n = node.nextSibling; n && n !== next; n = n.nextSibling) {
+			if (!hydrating?.existing.has(n) || hydrating.claimed.has(n)) content.push(n)
+		}
+		return content
+	})
+}
+
+/**
+ * Appends a node to the parent.
+ * While hydrating, the existing nodes are left in place, unless they are out of order.
+ * @param {Node} parent
+ * @param {Node} node
+ */
+const appendNode = (parent, node) => {
+	if (hydrating) {
+		if (isFragment(parent)) {
+			if (!parent[HYDRATED_NODES]) parent[HYDRATED_NODES] = []
+			parent[HYDRATED_NODES].push(...toNodes(node))
+			if (hydrating.claimed.has(node)) return
+		} else {
+			// the nodes of the fragments may be claimed, so they are appended one by one
+			const state = hydrating
+			toNodes(node).forEach(n => state.existing.has(parent) ? placeNode(state, parent, n) : parent.appendChild(n))
+			return
+		}
+	}
+	parent.appendChild(node)
+}
+
 /**
  * find object with "is" attribute.  e.g. { is: "custom-element" }
  * @param {Array} c
@@ -209,24 +883,33 @@ const getCreateOptions = (c) => c.find(p => p != null && typeof p === "object" &
  * @type {<K extends keyof HTMLElementTags>(namespace:string|null|undefined, tag:K, children:any[]) => HTMLElementTags[K]}
  */
 const createElement = (namespace, tag, children) => {
-	let element
-	// create element
-	if (namespace) {
-		//@ts-ignore tag is ok
-		element = document.createElementNS(namespace, tag, getCreateOptions(children))
-	} else if (tag === "fragment") {
-		element = document.createDocumentFragment()
-	} else if (tag === "text") {
-		element = document.createTextNode("")
-	} else {
-		//@ts-ignore tag is ok
-		element = document.createElement(tag, getCreateOptions(children))
+	// reuse the existing node while hydrating, or create element
+	let element = hydrating && tag !== "fragment" ? claimNode(hydrating, /** @type {string} */ (tag), children) : null
+	if (!element) {
+		if (namespace) {
+			//@ts-ignore tag is ok
+			element = currentDocument.createElementNS(namespace, tag, getCreateOptions(children))
+		} else if (tag === "fragment") {
+			element = currentDocument.createDocumentFragment()
+		} else if (tag === "text") {
+			element = currentDocument.createTextNode("")
+		} else {
+			//@ts-ignore tag is ok
+			element = currentDocument.createElement(tag, getCreateOptions(children))
+		}
 	}
 	// for cleanup & indentification
 	element[SEUI] = 1
 	// Process children or properties of an element.
-	for (const child of children) {
-		if (child != null) applyChildProperties(element, child, !!namespace)
+	// While hydrating, the nodes created for the children are claimed in the element
+	const scopes = element.nodeType === 1 ? hydrating?.scopes : undefined
+	scopes?.push(hydrating?.claimed.has(element) ? { root: element, first: null } : null)
+	try {
+		for (const child of children) {
+			if (child != null) applyChildProperties(element, child, !!namespace)
+		}
+	} finally {
+		scopes?.pop()
 	}
 	// dispatch oncreate lifecycle event
 	element.dispatchEvent(new Event('create', {
@@ -245,43 +928,56 @@ const createElement = (namespace, tag, children) => {
  */
 const applyChildProperties = (element, child, useAttrOnly = false) => {
 	// Check if the child is a Signal type
-	// This is where you handle reactive text. Instead of just setting nodeValue once,
-	// you wrap it in an effect so it updates whenever the signal changes.
+	// This is where you handle reactive content. The signal owns only its own region,
+	// delimited by anchor comments, so the sibling content of the element is left untouched.
 	if (child && typeof child === "object" && SIGNAL in child) {
 		// if (child[SIGNAL] === 1) // Computed signal else Regular signal
-		const textNode = createElement("", "text", [])
-		element.appendChild(textNode)
-		// Link the signal to the text node and save the disposer
+		const start = createAnchor("signal")
+		const end = createAnchor("/signal")
+		appendNode(element, start)
+		appendNode(element, end)
+		/** @type {Node|undefined} */
+		let textNode
+		/** @type {Node[]} */
+		let nodes = []
+		// Link the signal to the region and save the disposer
 		const stop = effect(() => {
-			if (child.value instanceof Node) {
-				element.replaceChildren(child.value)
-			} else if (Array.isArray(child.value)) {
-				element.replaceChildren(...child.value.map(item =>
-					item instanceof Node ? item : createElement("", "text", [String(item)])
-				))
-			} else {
-				textNode.nodeValue = String(child.value)
-			}
+			const value = child.value
+			untrack(() => {
+				/** @type {Node[]} */
+				let nextNodes
+				if (value != null && (typeof value !== "object" || value instanceof String)) {
+					// primitives update the same text node in place
+					if (textNode) textNode.nodeValue = String(value)
+					else textNode = createElement("", "text", [String(value)])
+					nextNodes = [textNode]
+				} else {
+					nextNodes = toNodes(value)
+				}
+				// dispose the nodes that are no longer part of the region
+				disposeNodes(nodes.filter(node => !nextNodes.includes(node)))
+				placeNodes(end, nextNodes)
+				nodes = nextNodes
+			})
 		})
-		// Attach the disposer to the element's cleanup bucket
-		addCleanup(element, stop)
+		// Attach the disposer to the anchor's cleanup bucket
+		addCleanup(end, stop)
 	} else if (typeof child === "string") {
-		if (element instanceof Text) {
+		if (element.nodeType === 3) { // Text
 			element.nodeValue = child
 		} else {
 			const textNode = createElement("", "text", [child])
-			element.appendChild(textNode)
+			appendNode(element, textNode)
 		}
 	} else if (child instanceof String || typeof child === "number" || typeof child === "boolean" || typeof child === "bigint") {
-		if (element instanceof Text) {
+		if (element.nodeType === 3) { // Text
 			element.nodeValue = typeof child === "string" ? child : child.toString()
 		} else {
 			const textNode = createElement("", "text", [typeof child === "string" ? child : child.toString()])
-			element.appendChild(textNode)
+			appendNode(element, textNode)
 		}
-	} else if (child instanceof Element || child instanceof DocumentFragment
-		|| (typeof child === "object" && typeof child.appendChild === "function")) {
-		element.appendChild(child)
+	} else if (isNode(child)) {
+		appendNode(element, child)
 	} else if (child.constructor === Object) {
 		// merge plain objects
 		merge(element, child, useAttrOnly)
@@ -299,8 +995,28 @@ const merge = (target, props, forceAttribute = false) => {
 	for (const prop in props) {
 		if (!props.hasOwnProperty(prop)) continue
 		const value = props[prop]
+		// two-way bindings, e.g. "bind:value" or "model"
+		if (prop === "model" || prop.startsWith("model.") || prop.startsWith("bind:")) {
+			bindModel(target, prop, value)
+		}
+		// class toggling by object, array or signal
+		else if ((prop === "class" || prop === "className") && value && typeof value === "object" && !(value instanceof String)) {
+			bindClass(target, value)
+		}
+		// style properties by object (with reactive values) or signal
+		else if (prop === "style" && value && typeof value === "object" && !(value instanceof String)) {
+			bindStyle(target, value)
+		}
+		// reactive event handlers, the previous handler is removed when the signal changes
+		else if (prop.startsWith("on") && value && typeof value === "object" && SIGNAL in value) {
+			const stop = effect(() => {
+				const handler = value.value
+				return untrack(() => listen(target, prop, handler))
+			})
+			addCleanup(target, stop)
+		}
 		// handle signals (reactive) eg. computed
-		if (value && typeof value === "object" && SIGNAL in value) {
+		else if (value && typeof value === "object" && SIGNAL in value) {
 			const stop = effect(() => applySingleProp(target, prop, value.value, forceAttribute))
 			// Attach the disposer to the element's cleanup bucket
 			addCleanup(target, stop)
@@ -317,10 +1033,16 @@ const merge = (target, props, forceAttribute = false) => {
 	return target
 }
 
+/** the attributes of the properties, that are not just the lowercase name */
+const PROP_ATTRIBUTES = { className: "class", htmlFor: "for", httpEquiv: "http-equiv", acceptCharset: "accept-charset" }
+/** the properties without an attribute to remove, they are set to `null` (e.g. `textContent`) */
+const UNREFLECTED_PROPS = new Set(["value", "textContent", "innerText", "innerHTML", "outerHTML"])
+
 /**
  * Applies a single property to the target element.
  * Handles events (e.g. "onclick"), forced attributes (e.g. SVG width/height),
  * direct property mapping (e.g. element.className), and falls back to attribute assignment.
+ * `null`, `undefined` (and `false` for a non-boolean property) remove the attribute of a property.
  * @param {Object} target The target element to apply the property to.
  * @param {string} prop The name of the property to apply.
  * @param {*} value The value to apply to the property.
@@ -330,18 +1052,17 @@ const merge = (target, props, forceAttribute = false) => {
 const applySingleProp = (target, prop, value, forceAttribute) => {
 	// events
 	if (prop.startsWith("on")) {
-		const type = prop.slice(2).toLowerCase()
-		// If it's an array [handler, options], spread it
-		const [handler, options] = Array.isArray(value) ? value : [value]
-		target.addEventListener(type, handler, options)
 		// Attach the disposer to the element's cleanup bucket
-		addCleanup(target, () => { // stop/unsubscribe
-			target.removeEventListener(type, handler, options)
-		})
+		addCleanup(target, listen(target, prop, value))
 	}
 	// forced attributes (SVG, etc) or special cases
-	else if (forceAttribute || prop.startsWith('data-') || prop === 'style') {
-		target.setAttribute(prop, value)
+	else if (forceAttribute || prop.startsWith('data-') || prop.startsWith('aria-') || prop.includes(':') || prop === 'style') {
+		applyAttribute(target, prop, value)
+	}
+	// removed values of the reflected properties, that would be written as text (e.g. title="null")
+	else if (prop in target && (value == null || (value === false && typeof target[prop] !== "boolean"))
+		&& !UNREFLECTED_PROPS.has(prop) && typeof target[prop] !== "object") {
+		applyAttribute(target, PROP_ATTRIBUTES[prop] ?? prop.toLowerCase(), null)
 	}
 	// direct property mapping
 	else if (prop in target) {
@@ -349,48 +1070,527 @@ const applySingleProp = (target, prop, value, forceAttribute) => {
 	}
 	// fallback
 	else {
-		target.setAttribute(prop, value)
+		applyAttribute(target, prop, value)
 	}
+	// the styles of the `css` class names are kept, while the element is mounted
+	if (prop === "className" || prop === "class") retainStyles(target)
 }
 
-//#region MEMORY / CLEANUP
-const CLEANUP = "__cleanup__"
 /**
- * Adds a cleanup function to an element. When the element is removed from the DOM, all cleanup functions will be called.
- * @param {Object} el The element to add the cleanup function to.
- * @param {() => void} disposer The cleanup function to add.
+ * @typedef {Object} EventOptions The options of an event handler, in addition to the `addEventListener` options.
+ * @prop {boolean} [prevent] Calls `preventDefault`.
+ * @prop {boolean} [stop] Calls `stopPropagation`.
+ * @prop {boolean} [self] Handles only the events dispatched on the element itself, not on its children.
+ * @prop {number} [debounce] Calls the handler when no events were dispatched for the given milliseconds.
+ * @prop {number} [throttle] Calls the handler at most once in the given milliseconds.
+ * @prop {boolean} [delegate] Handles the event with a single listener on the document, e.g. for large lists.
  */
-const addCleanup = (el, disposer) => {
-	if (!el[CLEANUP]) el[CLEANUP] = []
-	el[CLEANUP].push(disposer)
+
+/**
+ * Parses the event name, the modifiers and the handler options of an `on*` prop.
+ * The modifiers are the same as the options, e.g. `"onclick.prevent.once"` or `"oninput.debounce.300"`.
+ * @param {string} prop The prop name, e.g. "onclick.prevent".
+ * @param {*} value The handler or `[handler, options]`, the options can be a boolean (capture).
+ * @returns {{ type: string, handler: *, options: EventOptions & AddEventListenerOptions }}
+ */
+const parseEvent = (prop, value) => {
+	const [name = "", ...modifiers] = prop.slice(2).split(".")
+	const [handler, options] = Array.isArray(value) ? value : [value]
+	/** @type {{[key: string]: *}} */
+	const result = typeof options === "boolean" ? { capture: options } : { ...options }
+	for (let i = 0; i < modifiers.length; i++) {
+		const modifier = /** @type {string} */ (modifiers[i])
+		if (modifier === "debounce" || modifier === "throttle") {
+			// the delay is the next modifier, e.g. "debounce.300"
+			const delay = Number(modifiers[i + 1])
+			if (Number.isNaN(delay)) {
+				result[modifier] = 300
+			} else {
+				result[modifier] = delay
+				i++
+			}
+		} else {
+			result[modifier] = true
+		}
+	}
+	return { type: name.toLowerCase(), handler, options: result }
 }
 
+const DELEGATED = "__delegated__"
+/** @type {WeakMap<Object, Set<string>>} the delegated event types of each document */
+const delegatedTypes = new WeakMap()
+
 /**
- * Runs all cleanup functions stored on an element and its children.
- * When an element is removed from the DOM, all its cleanup functions will be called.
- * @param {Object} el The element to clean up.
+ * Calls the delegated handlers of the elements along the event path, like the event bubbles.
+ * @param {Event} e
  */
-const runCleanup = (el) => {
-	// console.log("[CLEANUP]", el, el[CLEANUP])
-	if (el[CLEANUP] && el[CLEANUP].length) {
-		el[CLEANUP].forEach(stop => stop())
-		el[CLEANUP] = []
+const dispatchDelegated = (e) => {
+	const root = e.currentTarget
+	try {
+		for (const node of e.composedPath()) {
+			if (node === root) break
+			const listeners = node[DELEGATED]?.[e.type]
+			if (!listeners?.size) continue
+			Object.defineProperty(e, "currentTarget", { configurable: true, get: () => node })
+			for (const listener of Array.from(listeners)) listener(e)
+			if (e.cancelBubble) break
+		}
+	} finally {
+		// restore the original currentTarget getter
+		Reflect.deleteProperty(e, "currentTarget")
 	}
-	// Recursively clean up children? note that removedNodes is now also recursive
-	//Array.from(el.children || []).forEach(runCleanup)
 }
 
-// Automatic cleanup detection
-// Notes: Node is the base class for all types of nodes, including Element,
-// but also Text, Comment, DocumentFragment, etc
-/** @param {Node} node */
+/**
+ * Adds the event listener of an `on*` prop to the element.
+ * @param {Object} target The element.
+ * @param {string} prop The prop name, e.g. "onclick" or "onclick.prevent.once".
+ * @param {*} value The handler (function or listener object) or `[handler, options]`.
+ * @returns {() => void} Removes the event listener.
+ */
+const listen = (target, prop, value) => {
+	const { type, handler, options } = parseEvent(prop, value)
+	if (!handler) return noop
+	const { prevent, stop, self, debounce, throttle, delegate, ...listenerOptions } = options
+	/** @param {Event} e */
+	let call = (e) => typeof handler === "function" ? handler.call(e.currentTarget, e) : handler.handleEvent(e)
+	// lifecycle errors are passed to the closest error boundary
+	const context = activeOwner?.context
+	if ((type === "create" || type === "mount") && context?.[ERROR_BOUNDARY]) {
+		const lifecycleHandler = call
+		call = (e) => {
+			try { lifecycleHandler(e) } catch (err) {
+				handleError(err, context)
+			}
+		}
+	}
+	/** @type {ReturnType<typeof setTimeout>|undefined} */
+	let timer
+	let last = 0
+	if (debounce) {
+		const handle = call
+		call = (e) => {
+			// the currentTarget is reset after the dispatch, keep it for the deferred call
+			const currentTarget = e.currentTarget
+			clearTimeout(timer)
+			timer = setTimeout(() => {
+				Object.defineProperty(e, "currentTarget", { configurable: true, get: () => currentTarget })
+				try {
+					handle(e)
+				} finally {
+					Reflect.deleteProperty(e, "currentTarget")
+				}
+			}, debounce)
+		}
+	} else if (throttle) {
+		const handle = call
+		call = (e) => {
+			const now = Date.now()
+			if (now - last < throttle) return
+			last = now
+			handle(e)
+		}
+	}
+	const doc = target.ownerDocument
+	/** @param {Event} e */
+	const listener = (e) => {
+		if (self && e.target !== e.currentTarget) return
+		if (prevent) e.preventDefault()
+		if (stop) e.stopPropagation()
+		if (delegate && listenerOptions.once) remove()
+		call(e)
+	}
+	const remove = () => {
+		clearTimeout(timer)
+		if (delegate && typeof doc?.addEventListener === "function") {
+			target[DELEGATED]?.[type]?.delete(listener)
+		} else {
+			target.removeEventListener(type, listener, listenerOptions)
+		}
+	}
+	if (delegate && typeof doc?.addEventListener === "function") {
+		// a single listener on the document handles the event for all the elements
+		if (!delegatedTypes.has(doc)) delegatedTypes.set(doc, new Set())
+		const types = /** @type {Set<string>} */ (delegatedTypes.get(doc))
+		if (!types.has(type)) {
+			types.add(type)
+			doc.addEventListener(type, dispatchDelegated)
+		}
+		if (!target[DELEGATED]) target[DELEGATED] = {}
+		if (!target[DELEGATED][type]) target[DELEGATED][type] = new Set()
+		target[DELEGATED][type].add(listener)
+	} else {
+		target.addEventListener(type, listener, listenerOptions)
+	}
+	return remove
+}
+
+//#region BINDINGS
+/**
+ * @typedef {Object} Model The value of a two-way binding.
+ * @prop {() => *} get Returns the current value, without tracking it.
+ * @prop {(value: *) => void} set Sets the value.
+ * @prop {(callback: (value: *) => void) => () => void} observe Calls back with the current value and on each change.
+ */
+
+/**
+ * Creates the model of a two-way binding.
+ * @param {*} source A signal, an `Observable` or a `[state, "path.to.key"]` pair of a `State`.
+ * @returns {Model}
+ * @throws {TypeError} When the source is not supported.
+ */
+const toModel = (source) => {
+	if (source && typeof source === "object" && SIGNAL in source) {
+		return {
+			get: () => untrack(() => source.value),
+			set: (value) => { source.value = value },
+			observe: (callback) => effect(() => {
+				const value = source.value
+				untrack(() => callback(value))
+			}),
+		}
+	}
+	if (Array.isArray(source)) {
+		const [state, path] = source
+		const keys = String(path).split(".")
+		const key = /** @type {string} */ (keys.pop())
+		const parent = () => keys.reduce((obj, k) => obj?.[k], state)
+		const get = () => parent()?.[key]
+		return {
+			get,
+			set: (value) => {
+				const obj = parent()
+				if (obj) obj[key] = value
+			},
+			observe: (callback) => {
+				callback(get())
+				// the State notifies the changes of a property to the subscribers of its own object
+				return parent()?.subscribe?.(() => callback(get()), key) || noop
+			},
+		}
+	}
+	if (source && typeof source.subscribe === "function" && typeof source.update === "function") {
+		return {
+			get: () => source.value,
+			set: (value) => source.update(() => value),
+			observe: (callback) => {
+				callback(source.value)
+				return source.subscribe((/** @type {*} */ value) => callback(value))
+			},
+		}
+	}
+	throw new TypeError("The binding must be a signal, an Observable or a [state, path] pair")
+}
+
+const DATE_INPUT_TYPES = ["date", "month", "datetime-local"]
+
+/**
+ * Formats a value for the value of a control.
+ * The dates are formatted for the date inputs (in UTC for "date" and "month" like `valueAsDate`,
+ * in local time for "datetime-local").
+ * @param {Object} el The control.
+ * @param {*} value
+ * @returns {string}
+ */
+const formatControlValue = (el, value) => {
+	if (value == null || Number.isNaN(value)) return ""
+	if (value instanceof Date && DATE_INPUT_TYPES.includes(el.type)) {
+		if (Number.isNaN(value.getTime())) return ""
+		if (el.type === "datetime-local") {
+			return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+		}
+		return value.toISOString().slice(0, el.type === "month" ? 7 : 10)
+	}
+	return String(value)
+}
+
+/**
+ * Reads the value of a control.
+ * @param {Object} el The control.
+ * @param {string} kind The bound property: "value", "checked" or "group".
+ * @param {*} current The current value of the model, used to update the groups and to keep the dates as dates.
+ * @param {string[]} modifiers The modifiers of the binding, "number" and "trim".
+ * @returns {*}
+ */
+const readControl = (el, kind, current, modifiers) => {
+	/** @param {string} value */
+	const coerce = (value) => {
+		if (modifiers.includes("trim")) value = value.trim()
+		if (!modifiers.includes("number") || value === "") return value
+		const number = Number(value)
+		return Number.isNaN(number) ? value : number
+	}
+	if (kind === "checked") return el.checked
+	if (kind === "group") {
+		if (el.type === "radio") return el.checked ? coerce(el.value) : current
+		const values = Array.isArray(current) ? current.filter(v => String(v) !== el.value) : []
+		return el.checked ? [...values, coerce(el.value)] : values
+	}
+	if (el.multiple && el.selectedOptions) return Array.from(el.selectedOptions, (/** @type {HTMLOptionElement} */ o) => coerce(o.value))
+	if (el.type === "number" || el.type === "range") return el.value === "" ? null : Number(el.value)
+	if (current instanceof Date && DATE_INPUT_TYPES.includes(el.type)) return el.value ? new Date(el.value) : null
+	return coerce(el.value)
+}
+
+/**
+ * Writes the value of the model to a control.
+ * The caret of a focused text control is kept in place.
+ * @param {Object} el The control.
+ * @param {string} kind The bound property: "value", "checked" or "group".
+ * @param {*} value The value of the model.
+ * @param {string[]} modifiers The modifiers of the binding.
+ */
+const writeControl = (el, kind, value, modifiers) => {
+	if (kind === "checked") {
+		el.checked = !!value
+	} else if (kind === "group") {
+		el.checked = el.type === "radio" ? String(value) === el.value
+			: Array.isArray(value) && value.some(v => String(v) === el.value)
+	} else if (el.multiple && el.options) {
+		const values = Array.isArray(value) ? value.map(String) : []
+		for (const option of el.options) option.selected = values.includes(option.value)
+	} else {
+		const text = formatControlValue(el, value)
+		// skip the values, that are the same as the input (e.g. "1." for 1), so the typing is not interrupted
+		if (el.value === text || formatControlValue(el, readControl(el, kind, value, modifiers)) === text) return
+		const focused = el.getRootNode?.().activeElement === el
+		/** @type {number|null} */
+		let start = null
+		/** @type {number|null} */
+		let end = null
+		try {
+			if (focused) ({ selectionStart: start, selectionEnd: end } = el)
+		} catch {
+			// the selection is not supported by the input type (e.g. "email" or "number")
+		}
+		el.value = text
+		if (focused && start != null && end != null) {
+			el.setSelectionRange(Math.min(start, text.length), Math.min(end, text.length))
+		}
+	}
+}
+
+/**
+ * Binds a control and a model both ways.
+ * - `bind:value` binds the value of an input, textarea or select (an array for `multiple`),
+ * 	the number and range inputs are bound as numbers, the date inputs as dates when the model is a date.
+ * - `bind:checked` binds the checked state of a checkbox.
+ * - `bind:group` binds a radio group to the value of the checked radio,
+ * 	or a checkbox group to an array of the values of the checked checkboxes.
+ * - `model` selects one of the above by the type of the control.
+ *
+ * The modifiers are added to the name: `lazy` updates the model on "change" instead of "input",
+ * `number` converts the value to a number and `trim` trims it, e.g. `"bind:value.lazy.trim"`.
+ * @param {Object} target The control.
+ * @param {string} prop The binding, e.g. "bind:value" or "model.number".
+ * @param {*} source A signal, an `Observable` or a `[state, "path.to.key"]` pair of a `State`.
+ */
+const bindModel = (target, prop, source) => {
+	const [name = "", ...modifiers] = prop.split(".")
+	const model = toModel(source)
+	// the type of the control might not be set yet
+	const kind = () => {
+		if (name !== "model") return name.slice(5)
+		if (target.type === "checkbox") return Array.isArray(model.get()) ? "group" : "checked"
+		return target.type === "radio" ? "group" : "value"
+	}
+	const update = () => model.set(readControl(target, kind(), model.get(), modifiers))
+	const events = modifiers.includes("lazy") ? ["change"] : ["input", "change"]
+	for (const type of events) target.addEventListener(type, update)
+	const stop = model.observe((value) => writeControl(target, kind(), value, modifiers))
+	// the options of a select are appended after the props, so the value is written again
+	const rewrite = () => writeControl(target, kind(), model.get(), modifiers)
+	target.addEventListener("create", rewrite, { once: true })
+	addCleanup(target, () => {
+		for (const type of events) target.removeEventListener(type, update)
+		target.removeEventListener("create", rewrite)
+		stop()
+	})
+}
+//#endregion BINDINGS
+
+/** the namespaces of the prefixed attributes, e.g. "xlink:href" */
+const ATTRIBUTE_NAMESPACES = {
+	xlink: "http://www.w3.org/1999/xlink",
+	xml: "http://www.w3.org/XML/1998/namespace",
+	xmlns: "http://www.w3.org/2000/xmlns/",
+}
+
+/**
+ * Sets or removes an attribute.
+ * `null`, `undefined` and `false` remove the attribute, `true` sets it empty (e.g. `disabled=""`).
+ * The `aria-*` and `data-*` attributes keep the boolean values as text (e.g. `aria-hidden="false"`),
+ * only `null` and `undefined` remove them.
+ * The prefixed attributes (e.g. `xlink:href`) are set with their namespace.
+ * @param {Object} target The element.
+ * @param {string} name The attribute name.
+ * @param {*} value The attribute value.
+ */
+const applyAttribute = (target, name, value) => {
+	const [prefix = "", localName = name] = name.includes(":") ? name.split(":") : []
+	const namespace = ATTRIBUTE_NAMESPACES[prefix]
+	if (typeof value === "boolean" && (name.startsWith("aria-") || name.startsWith("data-"))) {
+		value = String(value)
+	}
+	if (value == null || value === false) {
+		if (namespace) {
+			target.removeAttributeNS(namespace, localName)
+		} else {
+			target.removeAttribute(name)
+		}
+	} else if (namespace) {
+		target.setAttributeNS(namespace, name, value === true ? "" : String(value))
+	} else {
+		target.setAttribute(name, value === true ? "" : String(value))
+	}
+}
+
+/**
+ * Resolves the class names of a class binding. Reads the signals, so they are tracked.
+ * @param {*} value A string, a signal, an array of class bindings, or an object with a condition for each class name.
+ * @returns {string[]}
+ */
+const classNames = (value) => {
+	if (!value) return []
+	if (typeof value === "object" && SIGNAL in value) return classNames(value.value)
+	if (Array.isArray(value)) return value.flatMap(classNames)
+	if (typeof value === "object" && !(value instanceof String)) {
+		return Object.keys(value).filter(name => {
+			const condition = value[name]
+			return condition && typeof condition === "object" && SIGNAL in condition ? condition.value : condition
+		}).flatMap(classNames)
+	}
+	return String(value).split(/\s+/).filter(Boolean)
+}
+
+/**
+ * Binds the class names to the element. Only the class names of the binding are added and removed,
+ * so the classes added by other means (e.g. `classList.add`) are kept.
+ * @param {Object} target The element.
+ * @param {*} value The class binding, see `classNames`.
+ */
+const bindClass = (target, value) => {
+	/** @type {string[]} */
+	let prev = []
+	const stop = effect(() => {
+		const next = classNames(value)
+		untrack(() => {
+			prev.forEach(name => next.includes(name) || target.classList.remove(name))
+			if (next.length) target.classList.add(...next)
+			retainStyles(target)
+		})
+		prev = next
+	})
+	addCleanup(target, stop)
+}
+
+/**
+ * Sets a single style property. Supports custom properties and `!important`,
+ * `null`, `undefined` and `false` remove the property.
+ * @param {Object} target The element.
+ * @param {string} name The kebab-case property name.
+ * @param {*} value
+ */
+const setStyleProperty = (target, name, value) => {
+	if (value == null || value === false) {
+		target.style.removeProperty(name)
+	} else {
+		const text = String(value)
+		const important = /\s*!important\s*$/.test(text)
+		target.style.setProperty(name, important ? text.replace(/\s*!important\s*$/, "") : text, important ? "important" : "")
+	}
+}
+
+/**
+ * Binds the style properties to the element.
+ * Each property of an object can be a signal, which updates only that property.
+ * A signal of an object sets its properties, and removes the ones that are no longer present.
+ * A signal of a string replaces the whole style attribute.
+ * @param {Object} target The element.
+ * @param {*} value An object or a signal.
+ * @example
+ * div({ style: { color: colorSignal, "--gap": "4px", display: "block !important" } })
+ */
+const bindStyle = (target, value) => {
+	if (SIGNAL in value) {
+		/** @type {string[]} */
+		let prev = []
+		const stop = effect(() => {
+			const style = value.value
+			if (!style || typeof style !== "object") {
+				prev = []
+				untrack(() => applySingleProp(target, "style", style, false))
+				return
+			}
+			/** @type {{[name: string]: *}} */
+			const next = {}
+			for (const key in style) {
+				const v = style[key]
+				next[toKebabCase(key)] = v && typeof v === "object" && SIGNAL in v ? v.value : v
+			}
+			untrack(() => {
+				prev.forEach(name => name in next || target.style.removeProperty(name))
+				for (const name in next) setStyleProperty(target, name, next[name])
+			})
+			prev = Object.keys(next)
+		})
+		addCleanup(target, stop)
+		return
+	}
+	for (const key in value) {
+		const name = toKebabCase(key)
+		const v = value[key]
+		if (v && typeof v === "object" && SIGNAL in v) {
+			const stop = effect(() => setStyleProperty(target, name, v.value))
+			addCleanup(target, stop)
+		} else {
+			setStyleProperty(target, name, v)
+		}
+	}
+}
+
+//#region MEMORY / CLEANUP
+const CLEANUP = "__cleanup__"
+/**
+ * Adds a cleanup function to an element. When the element is removed from the DOM, all cleanup functions will be called.
+ * @param {Object} el The element to add the cleanup function to.
+ * @param {() => void} disposer The cleanup function to add.
+ */
+const addCleanup = (el, disposer) => {
+	if (!el[CLEANUP]) el[CLEANUP] = []
+	el[CLEANUP].push(disposer)
+}
+
+/**
+ * Runs all cleanup functions stored on an element and its children.
+ * When an element is removed from the DOM, all its cleanup functions will be called.
+ * @param {Object} el The element to clean up.
+ */
+const runCleanup = (el) => {
+	// console.log("[CLEANUP]", el, el[CLEANUP])
+	if (el[CLEANUP] && el[CLEANUP].length) {
+		el[CLEANUP].forEach(stop => stop())
+		el[CLEANUP] = []
+	}
+	// Recursively clean up children? note that removedNodes is now also recursive
+	//Array.from(el.children || []).forEach(runCleanup)
+}
+
+// Automatic cleanup detection
+// Notes: Node is the base class for all types of nodes, including Element,
+// but also Text, Comment, DocumentFragment, etc
+const MOUNTED = "__mounted__"
+/** @param {Node} node */
 const onNodeMount = (node) => {
 	if (node.childNodes.length) {
 		Array.from(node.childNodes).filter(n => n[SEUI] === 1).forEach(onNodeMount)
 	}
 	// optional. target only seui created elements
-	if (node[SEUI] === 1/*node instanceof Element || node instanceof Text*/) {
+	// skip already mounted nodes, that were just moved to a new position
+	if (node[SEUI] === 1 && !node[MOUNTED]/*node instanceof Element || node instanceof Text*/) {
 		// console.log("node added", node, node.constructor.name)
+		node[MOUNTED] = 1
+		mountStyles(node)
 		node.dispatchEvent(new Event('mount', {
 			bubbles: false,
 			cancelable: true
@@ -404,21 +1604,107 @@ const onNodeUnmount = (node) => {
 	}
 	if (node[SEUI] === 1/*node instanceof Element || node instanceof Text || node instanceof DocumentFragment*/) {
 		// console.log("node removed", node, node.constructor.name)
-		node.dispatchEvent(new Event('unmount', {
-			bubbles: false,
-			cancelable: true
-		}))
+		if (node[MOUNTED]) {
+			node[MOUNTED] = 0
+			unmountStyles(node)
+			node.dispatchEvent(new Event('unmount', {
+				bubbles: false,
+				cancelable: true
+			}))
+		}
 		runCleanup(node)
 	}
 }
-const observer = new MutationObserver((mutations) => {
+/**
+ * Removes nodes from the DOM and cleans them up right away,
+ * without waiting for the MutationObserver.
+ * @param {Node[]} nodes
+ */
+const disposeNodes = (nodes) => {
+	for (const node of nodes) {
+		node.parentNode?.removeChild(node)
+		onNodeUnmount(node)
+	}
+}
+
+/** @type {Set<Node>} the roots watched by the observer, see `observe` */
+const observedRoots = new Set()
+/** @param {Node} node */
+const isObserved = (node) => Array.from(observedRoots).some(root => root.contains(node))
+/** @param {MutationRecord[]} mutations */
+const onMutations = (mutations) => {
 	for (const mutation of mutations) {
-		mutation.addedNodes.forEach(onNodeMount)
-		mutation.removedNodes.forEach(onNodeUnmount)
+		// nodes that are still attached were moved (e.g. keyed list), not added or removed
+		mutation.addedNodes.forEach(n => isObserved(n) && onNodeMount(n))
+		mutation.removedNodes.forEach(n => isObserved(n) || onNodeUnmount(n))
 	}
-})
+}
+// not available when imported on the server
+const observer = typeof MutationObserver === "function" ? new MutationObserver(onMutations) : undefined
+
+/**
+ * Watch a root for added and removed nodes, to dispatch their `mount` and `unmount` events
+ * and to run their cleanups automatically. The `document.body` is watched by default.
+ * Use it for the nodes rendered outside of the body, e.g. into a shadow root.
+ * @param {Node} root The root to watch, including its whole subtree.
+ * @returns {() => void} Stops watching the root.
+ * @example
+ * const shadow = host.attachShadow({ mode: "open" })
+ * observe(shadow)
+ * shadow.append(div("Hello", { onmount: () => console.log("mounted") }))
+ */
+export const observe = (root) => {
+	if (observer && !observedRoots.has(root)) {
+		observedRoots.add(root)
+		observer.observe(root, { childList: true, subtree: true })
+	}
+	return () => unobserve(root)
+}
+
+/**
+ * Stop watching a root, see `observe`.
+ * Call `unobserve(document.body)` to opt out of the global observer,
+ * then use `mount` and `unmount` to dispatch the lifecycle events.
+ * @param {Node} root The root to stop watching.
+ */
+export const unobserve = (root) => {
+	if (!observer || !observedRoots.delete(root)) return
+	// handle the pending changes, as the observer can only be disconnected from all the roots
+	onMutations(observer.takeRecords())
+	observer.disconnect()
+	for (const r of observedRoots) observer.observe(r, { childList: true, subtree: true })
+}
+
+/**
+ * Insert the nodes into the container and dispatch their `mount` events right away,
+ * whether the container is watched or not (e.g. a detached container or a shadow root).
+ * @param {Node|Node[]} node The node, fragment or array of nodes to insert.
+ * @param {Node} container The parent node to insert into.
+ * @param {Node|null} [before=null] optional. The child node to insert before, appended by default.
+ * @returns {() => void} Unmounts the inserted nodes, see `unmount`.
+ * @example
+ * const unmountDialog = mount(Dialog(), document.getElementById("dialogs"))
+ * unmountDialog()
+ */
+export const mount = (node, container, before = null) => {
+	const nodes = toNodes(node)
+	for (const n of nodes) container.insertBefore(n, before)
+	nodes.forEach(onNodeMount)
+	return () => disposeNodes(nodes)
+}
+
+/**
+ * Remove the nodes from the DOM, dispatch their `unmount` events and run their cleanups right away.
+ * @param {Node|Node[]} node The node or array of nodes to remove.
+ * @example
+ * const view = div(p(count))
+ * mount(view, container)
+ * unmount(view) // the effect of the count is disposed
+ */
+export const unmount = (node) => disposeNodes(toNodes(node))
+
 // Start watching the whole document
-observer.observe(document.body, { childList: true, subtree: true })
+if (globalThis.document?.body) observe(document.body)
 
 //#endregion MEMORY / CLEANUP
 
@@ -464,6 +1750,848 @@ export const ns = (namespaceURI) => new Proxy({}, {
 	}
 })
 
+/**
+ * Create a comment node used as a position marker for reactive content.
+ * @param {string} name The comment text, only visible in the dev tools.
+ * @returns {Comment}
+ */
+const createAnchor = (name) => {
+	const anchor = /** @type {Comment} */ ((hydrating && claimAnchor(hydrating, name)) || currentDocument.createComment(name))
+	anchor[SEUI] = 1 // for cleanup
+	return anchor
+}
+
+/**
+ * Convert a render result into a list of nodes.
+ * Fragments are flattened, so the nodes can be moved later on.
+ * @param {*} value
+ * @returns {Node[]}
+ */
+const toNodes = (value) => {
+	if (value == null) return []
+	if (isFragment(value)) return fragmentNodes(value)
+	if (isNode(value)) return [value]
+	if (Array.isArray(value)) return value.flatMap(toNodes)
+	return [createElement("", "text", [String(value)])]
+}
+
+/**
+ * @template T
+ * @typedef {Object} ListEntry
+ * @property {*} key The key of the row.
+ * @property {T} item The item the row was rendered from.
+ * @property {Signal<number>} index The current position of the row.
+ * @property {Node[]} nodes The rendered nodes of the row.
+ */
+
+/**
+ * Place the nodes in order before the end anchor.
+ * Nodes that are already in place are not moved, starting from the end.
+ * @param {Node} end The end anchor of the region.
+ * @param {Node[]} nodes The nodes of the region.
+ */
+const placeNodes = (end, nodes) => {
+	const parent = end.parentNode
+	if (!parent) return
+	let next = end
+	for (let i = nodes.length - 1; i >= 0; i--) {
+		const node = /** @type {Node} */ (nodes[i])
+		if (node.nextSibling !== next || node.parentNode !== parent) {
+			parent.insertBefore(node, next)
+		}
+		next = node
+	}
+}
+
+/**
+ * Render a keyed list from an array signal.
+ * When the array changes, the rows are reconciled by key:
+ * existing rows are reused and moved into place, only new rows are rendered
+ * and only the rows that left are unmounted and cleaned up.
+ * A row is rendered again, when the item with the same key is replaced with a different item.
+ *
+ * @template T
+ * @param {Signal<T[]>|(()=>T[])} source The array signal to render, or a function returning the array (e.g. from a store).
+ * @param {((item: T, index: number) => any)|null} keyFn Returns an unique key for the item. Defaults to the item itself.
+ * @param {(item: T, index: Signal<number>) => any} renderFn Renders a row for the item. The index is a signal, that updates when the row is moved.
+ * @returns {DocumentFragment} A fragment containing the rows between two anchor comments.
+ * @example
+ * const barcodes = signal([])
+ * ol(list(barcodes, (text) => text, (text) => li(text)))
+ * barcodes.value = [...barcodes.value, "123"] // renders a single new li
+ * @example
+ * const users = signal([{ id: 1, name: "Jane" }])
+ * ul(list(users, (user) => user.id, (user, index) => li(index, ". ", user.name)))
+ */
+export const list = (source, keyFn, renderFn) => {
+	const start = createAnchor("list")
+	const end = createAnchor("/list")
+	const fragment = createElement("", "fragment", [start, end])
+	/** @type {Map<*, ListEntry<T>[]>} */
+	let entries = new Map()
+
+	const stop = effect(() => {
+		// copy the items while tracking, so the in-place changes of a store array are tracked too
+		const items = Array.from((typeof source === "function" ? source() : source.value) || [])
+		untrack(() => {
+			/** @type {ListEntry<T>[]} */
+			const nextEntries = []
+			/** @type {Map<*, ListEntry<T>[]>} */
+			const nextMap = new Map()
+			for (let i = 0; i < items.length; i++) {
+				const item = /** @type {T} */ (items[i])
+				const key = typeof keyFn === "function" ? keyFn(item, i) : item
+				// reuse the first unused row with the same key (duplicates are allowed)
+				let entry = entries.get(key)?.shift()
+				if (entry && entry.item !== item) {
+					disposeNodes(entry.nodes)
+					entry = undefined
+				}
+				if (entry) {
+					entry.index.value = i
+				} else {
+					const index = signal(i)
+					// each row is an owner, so its effects are disposed along with the row
+					entry = { key, item, index, nodes: createRoot(() => toNodes(renderFn(item, index))) }
+				}
+				nextEntries.push(entry)
+				if (!nextMap.has(key)) nextMap.set(key, [])
+				nextMap.get(key)?.push(entry)
+			}
+			// dispose the rows that left
+			for (const leftovers of entries.values()) {
+				for (const entry of leftovers) disposeNodes(entry.nodes)
+			}
+			entries = nextMap
+			// move or insert the rows in place
+			placeNodes(end, nextEntries.flatMap(entry => entry.nodes))
+		})
+	})
+	// Attach the disposer to the anchor's cleanup bucket,
+	// the rows are cleaned up along with their parent
+	addCleanup(end, stop)
+	return fragment
+}
+
+/**
+ * Render one of the cases, selected by the value of a signal.
+ * The selected case is rendered only when the selection changes,
+ * the nodes of the previous case are unmounted and cleaned up.
+ * The result is a signal, so it can be passed as a child to any tag.
+ *
+ * @template T
+ * @param {Signal<T>|(()=>T)} source The signal or function, which value selects the case.
+ * @param {{[key:string]:((value: T) => any)|undefined}} cases The render functions by value. The `default` case is used when no other case matches.
+ * @returns {Signal<Node[]>} A computed signal of the rendered nodes.
+ * @example
+ * const status = signal("loading")
+ * div(match(status, {
+ * 	loading: () => p("Loading..."),
+ * 	error: () => p("Failed to load"),
+ * 	default: (value) => p(`Status: ${value}`),
+ * }))
+ */
+export const match = (source, cases) => {
+	/** @type {string|undefined} */
+	let current
+	/** @type {Node[]} */
+	let view = []
+	/** @type {(()=>void)|undefined} */
+	let disposeCase
+	return computed(() => {
+		const value = typeof source === "function" ? source() : source.value
+		const key = String(value)
+		const selected = Object.hasOwn(cases, key) ? key : "default"
+		if (selected !== current) {
+			current = selected
+			const renderFn = cases[selected]
+			disposeCase?.()
+			// render in its own root, so the case does not subscribe to its signals
+			// and its effects are disposed when the case is switched
+			view = createRoot((dispose) => {
+				disposeCase = dispose
+				return toNodes(typeof renderFn === "function" ? renderFn(value) : null)
+			})
+		}
+		return view
+	})
+}
+
+/**
+ * Render the `thenFn` while the condition is truthy, otherwise the optional `elseFn`.
+ * The branch is rendered only when the condition switches between truthy and falsy,
+ * the nodes of the previous branch are unmounted and cleaned up.
+ * The branch gets the value of the condition as a signal, that is updated while the branch is shown
+ * (the value changes from one truthy value to another).
+ *
+ * @template T
+ * @param {Signal<T>|(()=>T)} cond The signal or function to use as the condition.
+ * @param {(value: Signal<T>) => any} thenFn Renders the content when the condition is truthy.
+ * @param {(value: Signal<T>) => any} [elseFn] Renders the content when the condition is falsy.
+ * @returns {Signal<Node[]>} A computed signal of the rendered nodes.
+ * @example
+ * const logged = signal(false)
+ * div(when(logged, () => p("Welcome back!"), () => button("Login", { onclick: () => (logged.value = true) })))
+ * @example
+ * const error = signal(null)
+ * div(when(error, (err) => p(computed(() => `Error: ${err.value.message}`))))
+ */
+export const when = (cond, thenFn, elseFn) => {
+	const value = computed(typeof cond === "function" ? cond : () => cond.value)
+	// each branch keeps its last value, so it is not updated with the value of the other branch before it is removed
+	/** @type {T} */
+	let truthy
+	/** @type {T} */
+	let falsy
+	const thenValue = computed(() => value.value ? (truthy = value.value) : truthy)
+	const elseValue = computed(() => value.value ? falsy : (falsy = value.value))
+	return match(() => !!value.value, {
+		true: () => thenFn(thenValue),
+		false: () => elseFn?.(elseValue),
+	})
+}
+
+/**
+ * Show the fallback while any resource created inside the content is loading.
+ * The content is rendered once and kept mounted (hidden) while loading,
+ * so its state and effects are preserved.
+ *
+ * @param {() => any} fallbackFn Renders the content to show while loading.
+ * @param {() => any} contentFn Renders the content, that creates the resources.
+ * @returns {DocumentFragment} A fragment containing the fallback and the content.
+ * @example
+ * const UserPage = (userId) => {
+ * 	const user = resource(userId, fetchUser)
+ * 	return p(computed(() => user.value?.name))
+ * }
+ * div(suspense(() => p("Loading..."), () => UserPage(userId)))
+ */
+export const suspense = (fallbackFn, contentFn) => {
+	/** @type {Signal<Set<Signal<boolean>>>} */
+	const resources = signal(new Set(), { equals: false })
+	const boundary = {
+		/** @param {Signal<boolean>} loading */
+		add: (loading) => resources.update(set => set.add(loading)),
+		/** @param {Signal<boolean>} loading */
+		delete: (loading) => resources.update(set => (set.delete(loading), set)),
+	}
+	const pending = computed(() => Array.from(resources.value).some(loading => loading.value))
+	// the content is wrapped in an element, that is hidden while loading
+	const content = createElement("", "seui-suspense", [{ style: "display: contents" }])
+	createRoot((dispose) => {
+		addCleanup(content, dispose)
+		provideContext(SUSPENSE, boundary)
+		for (const node of toNodes(contentFn())) appendNode(content, node)
+	})
+	const stop = effect(() => {
+		content.style.display = pending.value ? "none" : "contents"
+	})
+	addCleanup(content, stop)
+	return createElement("", "fragment", [when(pending, fallbackFn), content])
+}
+
+/**
+ * Catch the errors of a component subtree and render the fallback instead.
+ * Catches the errors thrown while creating the elements, in the `oncreate` and `onmount`
+ * handlers and in the effects and computed values of the subtree.
+ * When an error is caught, the failed subtree is removed and its effects are disposed.
+ * Errors thrown by the fallback are passed to the parent boundary.
+ *
+ * @param {() => any} renderFn Renders the content of the boundary.
+ * @param {(error: any, reset: () => void) => any} fallbackFn Renders the fallback. Call `reset` to render the content again.
+ * @returns {DocumentFragment} A fragment containing the content or the fallback between two anchor comments.
+ * @example
+ * div(errorBoundary(
+ * 	() => UserProfile(userId),
+ * 	(error, reset) => div(p(`Something went wrong: ${error.message}`), button("Retry", { onclick: reset }))
+ * ))
+ */
+export const errorBoundary = (renderFn, fallbackFn) => {
+	const start = createAnchor("boundary")
+	const end = createAnchor("/boundary")
+	const fragment = createElement("", "fragment", [start, end])
+	const version = signal(0) // re-renders the boundary
+	/** @type {{ error: any }|undefined} */
+	let failure
+	let rendering = false
+	/** @type {Node[]} */
+	let nodes = []
+	/** @type {(()=>void)|undefined} */
+	let disposeView
+	/** @param {*} error */
+	const onError = (error) => {
+		if (failure) {
+			// the subtree has already failed and is being disposed
+			console.error("Error boundary:", error)
+			return
+		}
+		failure = { error }
+		if (!rendering) version.value++
+	}
+	const reset = () => {
+		failure = undefined
+		version.value++
+	}
+	const dispose = () => {
+		disposeView?.()
+		disposeView = undefined
+		disposeNodes(nodes)
+		nodes = []
+	}
+	const stop = effect(() => {
+		version.value
+		untrack(() => {
+			dispose()
+			if (!failure) {
+				rendering = true
+				try {
+					nodes = createRoot((disposeRoot) => {
+						disposeView = disposeRoot
+						provideContext(ERROR_BOUNDARY, onError)
+						return toNodes(renderFn())
+					})
+				} catch (error) {
+					failure = { error }
+				} finally {
+					rendering = false
+				}
+				if (failure) dispose() // the subtree failed while rendering
+			}
+			if (failure) {
+				const { error } = failure
+				nodes = createRoot((disposeRoot) => {
+					disposeView = disposeRoot
+					return toNodes(fallbackFn(error, reset))
+				})
+			}
+			placeNodes(end, nodes)
+		})
+	})
+	// Attach the disposer to the anchor's cleanup bucket
+	addCleanup(end, () => {
+		stop()
+		disposeView?.()
+	})
+	return fragment
+}
+
+//#region CUSTOM ELEMENTS
+/**
+ * @typedef {StringConstructor|NumberConstructor|BooleanConstructor|ObjectConstructor|ArrayConstructor} PropType
+ * @typedef {Object} PropOptions
+ * @prop {PropType} [type] The type of the property, used to convert the attribute value. Defaults to `String`.
+ * @prop {*} [default] The initial value of the property.
+ * @prop {string|false} [attribute] The observed attribute. Defaults to the kebab-case name of the property, `false` to not observe any.
+ * @typedef {Object} ElementOptions
+ * @prop {{[name: string]: PropType|PropOptions}} [props] The properties of the element, each one is a signal.
+ * @prop {boolean|ShadowRootInit} [shadow=true] Render into an open shadow root, or one with the given options. `false` renders into the element itself.
+ * @prop {string|CSSStyleSheet|Array<string|CSSStyleSheet>} [styles] The styles to adopt into the shadow root (or the document).
+ * @prop {(props: {[name: string]: Signal<any>}, host: HTMLElement) => any} render Renders the content of the element.
+ */
+
+/**
+ * Converts an attribute value to the type of the property.
+ * @param {PropType} type
+ * @param {string|null} value
+ */
+const fromAttribute = (type, value) => {
+	if (type === Boolean) return value !== null
+	if (value === null) return null
+	if (type === Number) return Number(value)
+	if (type === Object || type === Array) {
+		try {
+			return JSON.parse(value)
+		} catch {
+			return null
+		}
+	}
+	return value
+}
+
+/**
+ * Checks if constructable style sheets can be adopted into the document or shadow root.
+ * @param {*} target
+ * @returns {boolean}
+ */
+const canAdoptStyles = (target) => Array.isArray(target?.adoptedStyleSheets)
+	&& typeof CSSStyleSheet === "function" && "replaceSync" in CSSStyleSheet.prototype
+
+/**
+ * Adopts the styles into the shadow root, or the document (or shadow root) of the element.
+ * Returns the style elements to render, when constructable style sheets are not supported.
+ * @param {Node} root The shadow root or the element.
+ * @param {Array<string|CSSStyleSheet>} styles
+ * @param {Map<string, CSSStyleSheet>} sheets The style sheets of the definition, by the css text.
+ * @returns {Node[]}
+ */
+const adoptStyles = (root, styles, sheets) => {
+	const target = /** @type {ShadowRoot|Document} */ ("adoptedStyleSheets" in root ? root : root.getRootNode())
+	if (canAdoptStyles(target)) {
+		const adopted = styles.map(style => {
+			if (typeof style !== "string") return style
+			if (!sheets.has(style)) {
+				const sheet = new CSSStyleSheet()
+				sheet.replaceSync(style)
+				sheets.set(style, sheet)
+			}
+			return /** @type {CSSStyleSheet} */ (sheets.get(style))
+		})
+		target.adoptedStyleSheets = [...target.adoptedStyleSheets, ...adopted.filter(sheet => !target.adoptedStyleSheets.includes(sheet))]
+		return []
+	}
+	return styles.map(style => createElement("", "style", [
+		typeof style === "string" ? style : Array.from(style.cssRules, rule => rule.cssText).join("\n")
+	]))
+}
+
+const ELEMENT_PROPS = "__element_props__"
+const ELEMENT_VIEW = "__element_view__"
+
+/**
+ * Define a custom element, that renders a `tags` tree, so the components can be embedded in any page.
+ * The properties are signals, that are set from the element properties and the observed attributes.
+ * The content is rendered when the element is connected, its `mount` events are dispatched right away.
+ * It is unmounted and its effects are disposed when the element is disconnected
+ * (but not when it is just moved).
+ * @param {string} name The name of the custom element, must contain a hyphen.
+ * @param {ElementOptions} options
+ * @returns {CustomElementConstructor} The element class.
+ * @example
+ * defineElement("user-card", {
+ * 	props: { name: String, age: { type: Number, default: 0 }, admin: Boolean },
+ * 	styles: `:host { display: block } p { margin: 0 }`,
+ * 	render: (props) => div(p(props.name), p("Age: ", props.age), when(props.admin, () => p("Admin")))
+ * })
+ * // <user-card name="Jane" age="42" admin></user-card>
+ * // or tags["user-card"]({ name: "Jane", age: 42 })
+ */
+export const defineElement = (name, options) => {
+	const { props = {}, shadow = true, render } = options
+	const styles = options.styles == null ? [] : Array.isArray(options.styles) ? options.styles : [options.styles]
+	/** @type {Map<string, CSSStyleSheet>} */
+	const sheets = new Map()
+	const definitions = Object.entries(props).map(([prop, definition]) => {
+		const { type = String, default: defaultValue, attribute } = typeof definition === "function" ? { type: definition } : definition
+		return {
+			prop,
+			type,
+			defaultValue: type === Boolean && defaultValue === undefined ? false : defaultValue,
+			attribute: attribute === false ? null : attribute || prop.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`),
+		}
+	})
+	class SeuiElement extends HTMLElement {
+		static observedAttributes = definitions.flatMap(d => d.attribute ? [d.attribute] : [])
+
+		constructor() {
+			super()
+			/** @type {{[name: string]: Signal<any>}} */
+			const signals = {}
+			for (const { prop, defaultValue } of definitions) {
+				signals[prop] = signal(defaultValue)
+				// the properties set before the element was defined, shadow the accessors
+				if (Object.hasOwn(this, prop)) {
+					signals[prop].value = this[prop]
+					delete this[prop]
+				}
+			}
+			this[ELEMENT_PROPS] = signals
+			/** @type {{ nodes: Node[], dispose: () => void, root: Node }|undefined} */
+			this[ELEMENT_VIEW] = undefined
+		}
+
+		connectedCallback() {
+			if (this[ELEMENT_VIEW]) return // moved
+			const root = shadow ? this.shadowRoot || this.attachShadow(shadow === true ? { mode: "open" } : shadow) : this
+			// the nodes added to the shadow root later (e.g. the rows of a list) are mounted by the observer
+			if (shadow) observe(root)
+			createRoot((dispose) => {
+				const nodes = [...adoptStyles(root, styles, sheets), ...toNodes(render(this[ELEMENT_PROPS], this))]
+				this[ELEMENT_VIEW] = { nodes, dispose, root }
+				mount(nodes, root)
+			})
+		}
+
+		disconnectedCallback() {
+			// wait, if the element is just moved
+			queueMicrotask(() => {
+				const view = this[ELEMENT_VIEW]
+				if (this.isConnected || !view) return
+				this[ELEMENT_VIEW] = undefined
+				view.dispose()
+				disposeNodes(view.nodes)
+				if (shadow) unobserve(view.root)
+			})
+		}
+
+		/**
+		 * @param {string} attribute
+		 * @param {string|null} _oldValue
+		 * @param {string|null} value
+		 */
+		attributeChangedCallback(attribute, _oldValue, value) {
+			const definition = definitions.find(d => d.attribute === attribute)
+			const prop = definition && this[ELEMENT_PROPS][definition.prop]
+			if (prop) prop.value = fromAttribute(definition.type, value)
+		}
+	}
+	for (const { prop } of definitions) {
+		Object.defineProperty(SeuiElement.prototype, prop, {
+			get() { return this[ELEMENT_PROPS][prop].value },
+			set(value) { this[ELEMENT_PROPS][prop].value = value },
+			configurable: true,
+			enumerable: true,
+		})
+	}
+	customElements.define(name, SeuiElement)
+	return SeuiElement
+}
+//#endregion CUSTOM ELEMENTS
+
+//#region HYDRATION
+/** mismatches are reported, unless running in production */
+const DEV = globalThis.process?.env?.NODE_ENV !== "production"
+
+/**
+ * The next node in post-order (the children before their parent) within the root.
+ * @param {Node} node
+ * @param {Node} root
+ * @returns {Node|null}
+ */
+const nextInPostOrder = (node, root) => {
+	if (node === root) return null
+	if (!node.nextSibling) return node.parentNode === root ? null : node.parentNode
+	let next = node.nextSibling
+	while (next.firstChild) next = next.firstChild
+	return next
+}
+
+/**
+ * The first node in post-order within the root.
+ * @param {Node} root
+ * @returns {Node|null}
+ */
+const firstInPostOrder = (root) => {
+	let first = root.firstChild
+	while (first?.firstChild) first = first.firstChild
+	return first
+}
+
+/**
+ * Finds the first existing node, that is not claimed yet and passes the test,
+ * in the element processing its children (or the root).
+ * The nodes are searched in post-order, since the child elements are created before their parent,
+ * and the skipped nodes are claimed later (e.g. the text of an element, created after the element).
+ * @param {Hydration} state
+ * @param {(node: Node) => boolean} test
+ * @param {string} expected The expected node, reported when it is not found.
+ * @returns {Node|null} `null` when not found, or inside the new elements.
+ */
+const findNode = (state, test, expected) => {
+	const scope = state.scopes[state.scopes.length - 1]
+	if (!scope) return null
+	const { root } = scope
+	scope.first ??= firstInPostOrder(root)
+	while (scope.first && state.claimed.has(scope.first)) scope.first = nextInPostOrder(scope.first, root)
+	for (let node = scope.first; node; node = nextInPostOrder(node, root)) {
+		if (!state.claimed.has(node) && state.existing.has(node) && test(node)) return node
+	}
+	state.report(`Expected ${expected}`, root)
+	return null
+}
+
+/**
+ * Claims the existing node for an element or a text, see `createElement`.
+ * The server renders the adjacent texts as a single text, so the existing text is split to match,
+ * and the empty texts, that are not rendered at all, are created.
+ * @param {Hydration} state
+ * @param {string} tag
+ * @param {Array<any>} children
+ * @returns {Node|null} `null` when there is no node to claim.
+ */
+const claimNode = (state, tag, children) => {
+	/** @type {Node|null} */
+	let node = null
+	if (tag === "text") {
+		const text = typeof children[0] === "string" ? children[0] : ""
+		const existing = text ? /** @type {Text|null} */ (findNode(state, n => n.nodeType === 3, `text "${text}"`)) : null
+		if (existing && existing.data.length > text.length && existing.data.startsWith(text)) {
+			state.existing.add(existing.splitText(text.length))
+		} else if (existing && existing.data !== text) {
+			// the text is updated, when the children are applied
+			state.report(`Expected text "${text}"`, existing)
+		}
+		node = existing
+	} else {
+		node = findNode(state, n => n.nodeType === 1 && n.nodeName.toLowerCase() === tag.toLowerCase(), tag)
+	}
+	if (node) state.claimed.add(node)
+	state.last = node
+	return node
+}
+
+/**
+ * Claims the existing comment for an anchor, see `createAnchor`.
+ * The end anchor is created right after the start anchor, so it is the matching end at the same level.
+ * @param {Hydration} state
+ * @param {string} name
+ * @returns {Node|null} `null` when there is no comment to claim.
+ */
+const claimAnchor = (state, name) => {
+	/** @type {Node|null} */
+	let node = null
+	if (name.startsWith("/")) {
+		const start = state.last?.nodeType === 8 && state.last.nodeValue === name.slice(1) ? state.last : null
+		let depth = 0
+		for (let n = start?.nextSibling; n && !node; n = n.nextSibling) {
+			if (n.nodeType !== 8 || state.claimed.has(n)) continue
+			if (n.nodeValue === start?.nodeValue) depth++
+			else if (n.nodeValue === name && depth-- === 0) node = n
+		}
+		if (start && !node) state.report(`Expected comment "${name}"`, start)
+	} else {
+		node = findNode(state, n => n.nodeType === 8 && n.nodeValue === name, `comment "${name}"`)
+	}
+	if (node) state.claimed.add(node)
+	state.last = node
+	return node
+}
+
+/**
+ * Places a node after the last node placed in the existing parent.
+ * The nodes that are already in order are not moved, the nodes between them are claimed later
+ * (e.g. the content of a signal) or removed, when the hydration ends.
+ * @param {Hydration} state
+ * @param {Node} parent
+ * @param {Node} node
+ */
+const placeNode = (state, parent, node) => {
+	const prev = state.placed.get(parent)
+	const after = prev ? prev.nextSibling : parent.firstChild
+	let next = after
+	while (next && next !== node) next = next.nextSibling
+	if (!next) parent.insertBefore(node, after)
+	state.placed.set(parent, node)
+}
+
+/**
+ * Collects the nodes of the subtree, without the root.
+ * @param {Node} root
+ * @param {Set<Node>} nodes
+ * @returns {Set<Node>}
+ */
+const collectNodes = (root, nodes) => {
+	root.childNodes.forEach(node => collectNodes(node, nodes.add(node)))
+	return nodes
+}
+
+/**
+ * Hydrate the markup rendered on the server with `seui/server`, instead of creating new nodes.
+ * The component is rendered once: each created node claims the matching existing node, so the existing nodes
+ * are reused, the event listeners are attached and the signals are bound to them.
+ * The nodes that do not match are created, the existing nodes that are not claimed are removed
+ * and the mismatches are reported, unless running in production.
+ * @param {Element} root The element containing the server rendered markup.
+ * @param {() => any} componentFn Renders the same content, as was rendered on the server.
+ * @returns {() => void} Disposes the effects of the content.
+ * @example
+ * // server: `<div id="app">${renderToString(App)}</div>`
+ * hydrate(document.getElementById("app"), App)
+ */
+export const hydrate = (root, componentFn) => {
+	// the rules of the `css` classes rendered on the server, are injected again when the nodes are mounted
+	Array.from(root.children).forEach(el => el.matches("style[data-seui-css]") && el.remove())
+	/** @type {Hydration} */
+	const state = {
+		existing: collectNodes(root, new Set([root])),
+		claimed: new Set(),
+		placed: new Map(),
+		scopes: [{ root, first: null }],
+		last: null,
+		report: (message, node) => DEV && console.warn(`Hydration mismatch: ${message}`, node),
+	}
+	const prevHydrating = hydrating
+	hydrating = state
+	try {
+		const { nodes, dispose } = createRoot((disposeRoot) => ({ nodes: toNodes(componentFn()), dispose: disposeRoot }))
+		nodes.forEach(node => placeNode(state, root, node))
+		return dispose
+	} finally {
+		hydrating = prevHydrating
+		// remove the existing nodes, that were not claimed, from the parents with the created children
+		for (const node of state.existing) {
+			const parent = node.parentNode
+			if (parent && !state.claimed.has(node) && node !== root && (parent === root || state.placed.has(parent))) {
+				state.report("Unexpected node", node)
+				parent.removeChild(node)
+			}
+		}
+		// the existing nodes are not added to the document again, so they are mounted right away
+		Array.from(root.childNodes).forEach(onNodeMount)
+	}
+}
+//#endregion HYDRATION
+
+//#region STYLES
+/** @typedef {import("./internal.js").ScopedStyle} ScopedStyle */
+const STYLE_NAMES = "__style_names__"
+const STYLE_ROOT = "__style_root__"
+
+/**
+ * Hash a string into a short and stable id.
+ * @param {string} text
+ * @returns {string}
+ */
+const hash = (text) => {
+	let h = 5381
+	for (let i = 0; i < text.length; i++) h = (h * 33) ^ text.charCodeAt(i)
+	return (h >>> 0).toString(36)
+}
+
+/**
+ * Inject the rules into the document or shadow root, as a constructable style sheet or a style element.
+ * @param {ScopedStyle} style
+ * @param {Document|ShadowRoot} root
+ * @returns {HTMLStyleElement|undefined} The style element, when the style sheets can not be adopted.
+ */
+const injectStyle = (style, root) => {
+	if (canAdoptStyles(root)) {
+		if (!style.sheet) {
+			style.sheet = new CSSStyleSheet()
+			style.sheet.replaceSync(style.rules)
+		}
+		root.adoptedStyleSheets = [...root.adoptedStyleSheets, style.sheet]
+		return undefined
+	}
+	const element = /** @type {HTMLStyleElement} */ (createElement("", "style", [style.rules]))
+	const parent = "head" in root ? root.head : root
+	parent.appendChild(element)
+	return element
+}
+
+/**
+ * Remove the injected rules from the document or shadow root.
+ * @param {ScopedStyle} style
+ * @param {Document|ShadowRoot} root
+ * @param {HTMLStyleElement|undefined} element
+ */
+const removeStyle = (style, root, element) => {
+	if (element) {
+		element.remove()
+	} else if (canAdoptStyles(root)) {
+		root.adoptedStyleSheets = root.adoptedStyleSheets.filter(s => s !== style.sheet)
+	}
+}
+
+/**
+ * The document or shadow root of a mounted element, where its styles are injected.
+ * @param {Node} el
+ * @returns {Document|ShadowRoot|undefined}
+ */
+const styleRoot = (el) => {
+	const root = el.getRootNode?.()
+	// the mounted nodes may be in a detached container
+	if (root?.nodeType === 9 || (root?.nodeType === 11 && "host" in root)) return /** @type {Document|ShadowRoot} */ (root)
+	return currentDocument?.head ? currentDocument : undefined
+}
+
+/**
+ * @param {string} name
+ * @param {Document|ShadowRoot} root
+ */
+const retainStyle = (name, root) => {
+	const style = scopedStyles.get(name)
+	if (!style) return
+	const used = style.roots.get(root)
+	if (used) {
+		used.refs++
+	} else {
+		style.roots.set(root, { refs: 1, element: injectStyle(style, root) })
+	}
+}
+
+/**
+ * @param {string} name
+ * @param {Document|ShadowRoot} root
+ */
+const releaseStyle = (name, root) => {
+	const style = scopedStyles.get(name)
+	const used = style?.roots.get(root)
+	if (!style || !used || --used.refs > 0) return
+	style.roots.delete(root)
+	removeStyle(style, root, used.element)
+}
+
+/**
+ * Keep the `css` class names of the element, after its classes changed.
+ * The rules are counted while the element is mounted: they are injected when the first
+ * mounted element uses them, and removed when the last one is unmounted.
+ * @param {Object} el The element.
+ */
+const retainStyles = (el) => {
+	/** @type {Set<string>|undefined} */
+	const prev = el[STYLE_NAMES]
+	const names = new Set(String(el.getAttribute?.("class") ?? "").split(/\s+/).filter(name => scopedStyles.has(name)))
+	if (!prev && !names.size) return
+	/** @type {Document|ShadowRoot|undefined} */
+	const root = el[STYLE_ROOT]
+	el[STYLE_NAMES] = names
+	el[STYLE_ROOT] = undefined
+	// the new names are retained first, so the rules used by both are not removed and injected again
+	if (el[MOUNTED]) mountStyles(el)
+	if (root) prev?.forEach(name => releaseStyle(name, root))
+}
+
+/**
+ * Inject the styles of the `css` class names of an element, when it is mounted.
+ * @param {Object} el
+ */
+const mountStyles = (el) => {
+	/** @type {Set<string>|undefined} */
+	const names = el[STYLE_NAMES]
+	if (!names?.size || el[STYLE_ROOT]) return
+	const root = styleRoot(el)
+	if (!root) return
+	el[STYLE_ROOT] = root
+	names.forEach(name => retainStyle(name, root))
+}
+
+/**
+ * Release the styles of the `css` class names of an element, when it is unmounted.
+ * @param {Object} el
+ */
+const unmountStyles = (el) => {
+	/** @type {Document|ShadowRoot|undefined} */
+	const root = el[STYLE_ROOT]
+	if (!root) return
+	el[STYLE_ROOT] = undefined
+	el[STYLE_NAMES]?.forEach((/** @type {string} */ name) => releaseStyle(name, root))
+}
+
+/**
+ * Create a scoped class from the css declarations and rules.
+ * The rules are nested under a generated class name, so `&` refers to the element.
+ * They are injected into the document (or the shadow root) of the first mounted element using the class
+ * (through `className` or `class`), and removed when the last one is unmounted.
+ * Nothing is injected on the server, where `renderToString` renders the rules of the used classes.
+ * @param {TemplateStringsArray} strings
+ * @param {...*} values
+ * @returns {string} The generated class name.
+ * @example
+ * const card = css`
+ * 	padding: 1em;
+ * 	&:hover { background: #eee; }
+ * 	.title { font-weight: bold; }
+ * `
+ * div({ className: card }, p({ className: "title" }, "Title"))
+ */
+export const css = (strings, ...values) => {
+	const text = strings.reduce((result, str, i) => result + str + (i < values.length ? String(values[i] ?? "") : ""), "")
+	const name = `seui-${hash(text)}`
+	if (!scopedStyles.has(name)) scopedStyles.set(name, { rules: `.${name} {${text}}`, sheet: undefined, roots: new Map() })
+	return name
+}
+//#endregion STYLES
+
 /**
  * Helper function to add style elements to the document head.
  *
@@ -487,21 +2615,28 @@ export const ns = (namespaceURI) => new Proxy({}, {
  * )
  */
 export const addStyle = (...style) => {
-	const fragment = createElement("", "fragment", [])
-	for (const s of style) {
-		if (typeof s === "string") {
-			const styleElement = createElement("", "style", [])
-			styleElement.textContent = s
-			fragment.appendChild(styleElement)
-		} else {
-			const linkElement = createElement("", "link", [])
-			for (const key in s) {
-				//@ts-ignore
-				if (s[key] !== undefined && linkElement.setAttribute) linkElement.setAttribute(key, s[key])
+	// the elements are added to the head, not claimed in the hydrated content
+	const prevHydrating = hydrating
+	hydrating = null
+	try {
+		const fragment = createElement("", "fragment", [])
+		for (const s of style) {
+			if (typeof s === "string") {
+				const styleElement = createElement("", "style", [])
+				styleElement.textContent = s
+				fragment.appendChild(styleElement)
+			} else {
+				const linkElement = createElement("", "link", [])
+				for (const key in s) {
+					//@ts-ignore
+					if (s[key] !== undefined && linkElement.setAttribute) linkElement.setAttribute(key, s[key])
+				}
+				fragment.appendChild(linkElement)
 			}
-			fragment.appendChild(linkElement)
 		}
+		currentDocument.head.appendChild(fragment)
+	} finally {
+		hydrating = prevHydrating
 	}
-	document.head.appendChild(fragment)
 }
 //#endregion UI
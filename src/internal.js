@@ -0,0 +1,46 @@
+/**
+ * The state and helpers shared by `seui` and `seui/server`.
+ * This module is not exported by the package.
+ */
+
+/** @type {Document} the document used to create the nodes, see `setDocument` */
+export let currentDocument = globalThis.document
+
+/**
+ * Sets the document used to create the nodes.
+ * This is used by `seui/server` to render the components against a virtual DOM.
+ * @param {Document} doc The document, or a virtual document with the same factory methods.
+ * @returns {Document} The previous document, so it can be restored.
+ */
+export const setDocument = (doc) => {
+	const prevDocument = currentDocument
+	currentDocument = doc
+	return prevDocument
+}
+
+/**
+ * Converts a camelCase style property to kebab-case, e.g. "backgroundColor" to "background-color".
+ * Custom properties (e.g. "--main-color") are kept as is.
+ * @param {string} prop
+ * @example toKebabCase("backgroundColor") // "background-color"
+ */
+export const toKebabCase = (prop) => prop.startsWith("--") ? prop : prop.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase())
+
+/**
+ * @typedef {Object} ScopedStyle
+ * @prop {string} rules The css rules of the class.
+ * @prop {CSSStyleSheet|undefined} sheet The constructable style sheet, shared by the documents and shadow roots.
+ * @prop {Map<Document|ShadowRoot, { refs: number, element: HTMLStyleElement|undefined }>} roots
+ * The documents and shadow roots with the rules, with the number of mounted elements using the class
+ * and the style element (when the style sheets can not be adopted).
+ */
+/** @type {Map<string, ScopedStyle>} the styles created with `css`, by class name */
+export const scopedStyles = new Map()
+
+/**
+ * Get the rules of the `css` classes in the class names, e.g. to render them on the server.
+ * @param {string} className The class names.
+ * @returns {string[]} The css rules.
+ */
+export const cssRules = (className) => className.split(/\s+/)
+	.flatMap(name => scopedStyles.get(name)?.rules ?? [])
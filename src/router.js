@@ -1,70 +1,336 @@
+import { signal, tags } from "./index.js"
+
 /**
  * @typedef {{[key:string]:(prev:string, now:string,  ...params:string[])=>any}} TRouteParams a route object
  * @typedef {import("./observable").Observable<{ newURL: string, oldURL: string, data: any }>} TObservableState
+ * @typedef {TRouteParams|RouteDefinition[]} TRoutes the routes as a `{ path: callback }` object, or as route definitions
+ */
+
+/**
+ * @typedef {Object} RouteContext The context passed to the route components and layouts.
+ * @prop {{[name: string]: string}} params The decoded path parameters, by name. The missing optional parameters are left out.
+ * @prop {{[name: string]: string|string[]}} query The query parameters, by name. The repeated parameters are arrays.
+ * @prop {string} oldURL The previous URL.
+ * @prop {string} newURL The current URL.
+ * @prop {*} [data] The data returned by the `load` function of the route.
+ */
+
+/**
+ * @typedef {Object} RouteDefinition
+ * @prop {string} path The path of the route, relative to the parent route, e.g. "/users" or ":id".
+ * @prop {string} [name] The name of the route, to create its links with `router.href(name, params, query)`.
+ * @prop {(ctx: RouteContext) => any} [component] Renders the page of the route.
+ * @prop {(outlet: import("./index.js").Signal<any>, ctx: RouteContext) => any} [layout] Renders the shared layout
+ * of the child routes, place the `outlet` where the child route is rendered. Defaults to the outlet only.
+ * @prop {RouteDefinition[]} [children] The nested routes.
+ * @prop {(args: { params: RouteContext["params"], query: RouteContext["query"], signal: AbortSignal }) => any} [load]
+ * Loads the data of the route before it is rendered, the data is passed to the component or layout as `ctx.data`.
+ * It can be async, the `signal` is aborted when the navigation is superseded by a newer one.
+ * @prop {NavigationGuard} [beforeEnter] Called before the route is entered, from a route outside of it.
+ * @prop {NavigationGuard} [beforeLeave] Called before the route is left, to a route outside of it.
+ */
+
+/**
+ * A navigation guard allows the navigation by returning nothing (or `true`), cancels it by returning `false`,
+ * or redirects it by returning the new path. It can be async.
+ * @typedef {(ctx: RouteContext) => boolean|string|void|Promise<boolean|string|void>} NavigationGuard
+ */
+
+/**
+ * A named route with its parameters, e.g. `{ name: "user", params: { id: 1 }, query: { tab: "posts" } }`.
+ * @typedef {Object} RouteLocation
+ * @prop {string} name The name of the route.
+ * @prop {{[name: string]: string|number}} [params] The path parameters.
+ * @prop {{[name: string]: string|number|boolean|Array<string|number>|null|undefined}} [query] The query parameters.
+ */
+
+/**
+ * @typedef {Object} RouteBranch A matchable chain of routes, from the top level route to the page.
+ * @prop {RouteDefinition[]} routes The routes of the chain.
+ * @prop {RegExp} regExp The regular expression of the full path.
+ * @prop {number[]} score The specificity of the full path, see {@link compilePath}.
+ * @prop {string[][]} keys The parameter names of each route in the chain.
+ * @prop {((prev:string, now:string, ...params:string[])=>any)} [callback] The callback of a `{ path: callback }` route.
+ */
+
+/**
+ * @typedef {Object} RouteLevel A rendered route of the current chain.
+ * @prop {RouteDefinition} route
+ * @prop {string} key The parameter values of the route and its parents, the route is rendered again when they change.
+ * @prop {import("./index.js").Signal<any>|undefined} outlet The outlet of the child route.
+ */
+
+/**
+ * @typedef {Object} RouteMatch A route chain matching the URL.
+ * @prop {RouteBranch} branch The matched chain.
+ * @prop {Array<string|undefined>} values The raw parameter values, in the order of the path.
+ * @prop {{[name: string]: string}} params The decoded parameters, by name.
+ * @prop {string[]} keys The key of each route in the chain, see {@link RouteLevel}.
+ * @prop {{[name: string]: string|string[]}} query The query parameters.
  */
 
+/** the count of the pending navigations of all the routers */
+let pending = 0;
+
 /**
- * Converts a route path with parameters (e.g., "/user/:id") into a regular expression for matching URLs.
+ * Whether a navigation is pending, e.g. its route data is loading.
+ * @type {import("./index.js").Signal<boolean>}
+ * @example
+ * import { navigating } from "seui/router"
+ * div({ className: "progress", hidden: computed(() => !navigating.value) })
+ */
+export const navigating = signal(false);
+
+/**
+ * Parses the query string, e.g. "?tab=posts&page=2" to { tab: "posts", page: "2" }.
+ * The repeated names are collected into arrays, like they are created by `formatQuery`,
+ * e.g. "?tag=a&tag=b" to { tag: ["a", "b"] }.
+ * @param {string} search
+ * @returns {{[name: string]: string|string[]}}
+ */
+const parseQuery = (search) => {
+	/** @type {{[name: string]: string|string[]}} */
+	const query = {};
+	for (const [name, value] of new URLSearchParams(search)) {
+		const current = query[name];
+		query[name] = current === undefined ? value : [...(Array.isArray(current) ? current : [current]), value];
+	}
+	return query;
+};
+
+/**
+ * The parameters of a path segment: `:name`, `:name?` (optional), `:name(regexp)` (constraint) and `*name` (splat).
+ * The constraint can have one level of nested groups, e.g. `:size(\\d+(?:px|em))`.
+ */
+const PATH_PARAM = /:(\w+)(?:\(((?:\\.|\([^()]*\)|[^\\()])*)\))?(\?)?|\*(\w*)/g;
+
+/**
+ * Escapes the regular expression characters of the static parts of a path, e.g. the `.` in "/sitemap.xml".
+ * @param {string} text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Compiles a route path (e.g. "/user/:id(\\d+)/:tab?") into a regular expression for matching URLs.
+ * The specificity score has a number for each segment: static (4), constrained (3), parameter (2), optional (1), splat (0).
  * @param {string} path
+ * @returns {{ regExp: RegExp, keys: string[], score: number[] }}
  */
-const pathToRegex = (path) => new RegExp("^" + path.replace(/\//g, "\\/").replace(/:\w+/g, "([^/]+)") + "$");
+const compilePath = (path) => {
+	/** @type {string[]} */
+	const keys = [];
+	/** @type {number[]} */
+	const score = [];
+	let pattern = "";
+	for (const segment of path.split("/").filter(Boolean)) {
+		let source = "";
+		let last = 0;
+		let segmentScore = 4;
+		/** @type {RegExpMatchArray[]} */
+		const params = Array.from(segment.matchAll(PATH_PARAM));
+		for (const param of params) {
+			const [token, name, constraint, optional, splat] = param;
+			source += escapeRegExp(segment.slice(last, param.index));
+			last = /** @type {number} */ (param.index) + token.length;
+			if (splat !== undefined) {
+				keys.push(splat || "*");
+				source += "(.*)";
+				segmentScore = 0;
+			} else {
+				keys.push(/** @type {string} */ (name));
+				// the groups of the constraint are not captured, to keep the order of the parameters
+				const group = constraint ? constraint.replace(/(\\.)|\((?!\?)/g, (_, escaped) => escaped || "(?:") : "[^/]+";
+				source += `(${group})${optional ? "?" : ""}`;
+				segmentScore = Math.min(segmentScore, optional ? 1 : constraint ? 3 : 2);
+			}
+		}
+		source += escapeRegExp(segment.slice(last));
+		// a single optional parameter or splat makes the whole segment optional
+		const whole = params.length === 1 && params[0]?.[0] === segment;
+		pattern += whole && segmentScore < 2 ? `(?:/${source})?` : `/${source}`;
+		// the static text around a parameter makes it more specific, e.g. "v:version"
+		score.push(!whole && segmentScore < 4 ? segmentScore + 0.5 : segmentScore);
+	}
+	return { regExp: new RegExp(`^${pattern || "/"}$`), keys, score };
+};
 
 /**
- * The HashRouter class represents a client-side router that uses the URL hash to manage navigation.
+ * Compares the specificity of the routes, the more specific first.
+ * The segments are compared in order, the path with more segments is the less specific (they are optional).
+ * @param {number[]} a
+ * @param {number[]} b
+ */
+const compareScores = (a, b) => {
+	for (let i = 0; i < Math.min(a.length, b.length); i++) {
+		if (a[i] !== b[i]) return /** @type {number} */ (b[i]) - /** @type {number} */ (a[i]);
+	}
+	return a.length - b.length;
+};
+
+/**
+ * Returns the path and the query of the current location, e.g. "/user/1?tab=posts".
+ */
+const locationPath = () => window.location.pathname + window.location.search;
+
+/**
+ * Decodes a parameter value, keeps the malformed values as they are.
+ * @param {string} value
  */
-export class HashRouter {
+const decodeParam = (value) => {
+	try {
+		return decodeURIComponent(value);
+	} catch {
+		return value;
+	}
+};
+
+/**
+ * Joins a parent path and a child path, e.g. "/users" and ":id" to "/users/:id".
+ * @param {string} parent
+ * @param {string} child
+ */
+const joinPaths = (parent, child) => {
+	if (!child) return parent || "/";
+	return (parent.replace(/\/$/, "") + "/" + child.replace(/^\//, "")) || "/";
+};
+
+/**
+ * Creates the path of a route with the parameters, e.g. "/user/:id/:tab?" and { id: 1 } to "/user/1".
+ * The parameters are encoded, the slashes of a splat are kept. The missing optional segments are left out.
+ * @param {string} path The full path of the route.
+ * @param {{[name: string]: string|number}} params
+ */
+const buildPath = (path, params) => {
+	/** @type {string[]} */
+	const segments = [];
+	for (const segment of path.split("/").filter(Boolean)) {
+		let missing = false;
+		const built = segment.replace(PATH_PARAM, (_, name, constraint, optional, splat) => {
+			const key = splat !== undefined ? splat || "*" : name;
+			const value = params[key];
+			if (value == null || value === "") {
+				if (splat === undefined && !optional) throw new Error(`Missing parameter "${key}" of route "${path}"`);
+				missing = true;
+				return "";
+			}
+			const text = String(value);
+			if (constraint && !new RegExp(`^(?:${constraint})$`).test(text)) {
+				throw new Error(`Invalid parameter "${key}" of route "${path}": ${text}`);
+			}
+			return splat !== undefined ? text.split("/").map(encodeURIComponent).join("/") : encodeURIComponent(text);
+		});
+		if (!missing || built) segments.push(built);
+	}
+	return "/" + segments.join("/");
+};
+
+/**
+ * Creates the query string, e.g. { tab: "posts", page: 2 } to "?tab=posts&page=2".
+ * The `null` and `undefined` values are left out, and the arrays are repeated.
+ * @param {NonNullable<RouteLocation["query"]>} query
+ */
+const formatQuery = (query) => {
+	const search = new URLSearchParams();
+	for (const [name, value] of Object.entries(query)) {
+		if (value == null) continue;
+		for (const item of Array.isArray(value) ? value : [value]) search.append(name, String(item));
+	}
+	const text = search.toString();
+	return text ? `?${text}` : "";
+};
+
+/**
+ * Flattens the routes into the matchable chains, the most specific first, then in the order of the definitions.
+ * A route with children matches through its children, add a child with an empty path for the parent path itself.
+ * Also collects the full paths of the named routes.
+ * @param {TRoutes} routes
+ * @returns {{ branches: RouteBranch[], names: Map<string, string> }}
+ */
+const compileRoutes = (routes) => {
+	/** @type {RouteBranch[]} */
+	const branches = [];
+	/** @type {Map<string, string>} */
+	const names = new Map();
+	if (!Array.isArray(routes)) {
+		// the `{ path: callback }` routes
+		for (const path of Object.keys(routes)) {
+			if (routes[path] == null) continue;
+			const { regExp, keys, score } = compilePath(path);
+			branches.push({ routes: [{ path }], regExp, score, keys: [keys], callback: routes[path] });
+		}
+		return { branches: branches.sort((a, b) => compareScores(a.score, b.score)), names };
+	}
+	/**
+	 * @param {RouteDefinition[]} definitions
+	 * @param {RouteDefinition[]} parents
+	 * @param {string} parentPath
+	 */
+	const walk = (definitions, parents, parentPath) => {
+		for (const route of definitions) {
+			const path = joinPaths(parentPath, route.path);
+			const chain = [...parents, route];
+			if (route.name != null) {
+				if (names.has(route.name)) console.warn(`Router duplicate route name "${route.name}"`);
+				names.set(route.name, path);
+			}
+			if (route.children?.length) {
+				walk(route.children, chain, path);
+			} else {
+				const { regExp, score } = compilePath(path);
+				branches.push({
+					routes: chain,
+					regExp,
+					score,
+					keys: chain.map((r) => compilePath(r.path).keys),
+				});
+			}
+		}
+	};
+	walk(routes, [], "");
+	return { branches: branches.sort((a, b) => compareScores(a.score, b.score)), names };
+};
+
+/**
+ * The base class of the routers: matches the URL to the routes and renders the matched routes.
+ * The nested routes are rendered into the outlets of their parent layouts.
+ * When navigating, only the routes from the first changed route (or changed parameter) down are rendered again,
+ * so the parent layouts and their state are kept.
+ */
+class Router {
 	/**
-	 * The constructor for the "hashbang" Router class.
-	 *
-	 * Why hashbang? Because it uses the URL hash (the part after the `#` symbol) to manage client-side routing.
-	 * It required zero configuration and works in all browsers without needing server-side support (404) for routing.
-	 * It listens for changes to the URL hash and updates the UI accordingly based on the defined routes.
-	 *
-	 * This function sets up the router by setting root, default route and routes.
-	 * It also sets up an event listener for hash changes and updates the current URL.
-	 *
-	 * It uses error route (`"/error/:msg"`) when routing fails.
-	 * It uses the default as fallback if no other routes match.
-	 *
 	 * @param {HTMLElement|null} [root] root element
 	 * @param {string} [defaultRoute] default route
-	 * @param {TRouteParams} [routes] routes
+	 * @param {TRoutes} [routes] routes
 	 * @param {TObservableState} [state] optional. pass observer for router to update
-	 *
-	 * @example
-	 * import { HashRouter } from "seui/router"
-	 * const router = new HashRouter(document.body, "/", {
-	 *   "/": Home,
-	 *   "/info": () => Info(),
-	 *   "/error/:message": (oldURL, newURL, message) => {
-	 *     console.log(`Navigated from ${oldURL} to ${newURL} with ${message}`)
-	 *     return tags.div("Error! You have navigated to the error page with: ${message}"))
-	 *   },
-	 * })
 	 */
 	constructor(root, defaultRoute, routes, state) {
 		/** @type {HTMLElement|undefined|null} */
 		this.root = root
 		/** @type {string} */
 		this.defaultRoute = defaultRoute || "/"
-		/** @type {TRouteParams} */
+		/** @type {TRoutes} */
 		this.routes = routes || {}
-		/** @type {string} */
-		this.oldURL = window.location.hash || "/"
 		/** @type {TObservableState|undefined} */
 		this.state = state
-		this._onHashChange = this.onHashChange.bind(this)
-		this._onLoad = () => this.update()
-		window.addEventListener('hashchange', this._onHashChange, false)
-		window.addEventListener('load', this._onLoad, false)
+		/** @type {RouteLevel[]} the rendered routes */
+		this.levels = []
+		/** @type {{ routes: TRoutes, branches: RouteBranch[], names: Map<string, string> }|undefined} */
+		this._compiled = undefined
+		/** @type {{ beforeEnter: Set<NavigationGuard>, beforeLeave: Set<NavigationGuard>, afterEach: Set<(ctx: RouteContext) => void> }} */
+		this.hooks = { beforeEnter: new Set(), beforeLeave: new Set(), afterEach: new Set() }
+		/** @type {AbortController|undefined} the current navigation */
+		this.controller = undefined
+		/** @type {number} the position of the current entry in the history, see {@link Router#restorePosition} */
+		this.position = 0
+		/** @type {{ position: number, resolve: () => void }|undefined} the entry the history is moving back to */
+		this.restoring = undefined
 	}
 
 	/**
-	 * Set up the router.
-	 *
+	 * Set up the router with new parameters.
 	 * @param {HTMLElement} root root element
 	 * @param {string} defaultRoute default route
-	 * @param {TRouteParams} routes route url can callback Object
+	 * @param {TRoutes} routes route url can callback Object, or route definitions
 	 * @param {TObservableState} [state] optional. pass observer for router to update
 	 *
 	 * @example
@@ -73,7 +339,7 @@ export class HashRouter {
 	 * router.setup(document.body, "/", {
 	 *   "/": Home, // also the default route
 	 *   "/info": () => Info(),
-	 *   "/error/:message": (oldURL, newURL, state, message) => { // uses RegExp search
+	 *   "/error/:message": (oldURL, newURL, message) => { // uses RegExp search
 	 *     console.log(`Navigated from ${oldURL} to ${newURL} with ${message}`)
 	 *     return tags.div("Error! You have navigated to the error page with: ${message}"))
 	 *   },
@@ -84,6 +350,346 @@ export class HashRouter {
 		this.defaultRoute = defaultRoute || "/"
 		this.routes = routes || {}
 		this.state = state
+		this.levels = []
+	}
+
+	/**
+	 * Returns the compiled routes, they are cached until the routes are replaced.
+	 */
+	compiled() {
+		if (this._compiled?.routes !== this.routes) {
+			this._compiled = { routes: this.routes, ...compileRoutes(this.routes) };
+		}
+		return this._compiled;
+	}
+
+	/**
+	 * Finds the most specific route matching the URL.
+	 * @param {string} url The URL to match, e.g. "/user/1?tab=posts".
+	 * @returns {RouteMatch|undefined} The matched chain, its decoded parameters and the query parameters.
+	 */
+	match(url) {
+		const [path = "", search = ""] = url.split(/\?(.*)/s);
+		for (const branch of this.compiled().branches) {
+			const match = path.match(branch.regExp);
+			if (match == null) continue;
+			const values = match.slice(1);
+			/** @type {{[name: string]: string}} */
+			const params = {};
+			let index = 0;
+			const keys = branch.keys.map((names) => {
+				for (const name of names) {
+					const value = values[index++];
+					// the missing optional parameters are left out
+					if (value !== undefined) params[name] = decodeParam(value);
+				}
+				return JSON.stringify(values.slice(0, index));
+			});
+			return { branch, values, params, keys, query: parseQuery(search) };
+		}
+	}
+
+	/**
+	 * Creates the link of a named route, in the URL format of the router, e.g. "#!/user/1" or "/user/1".
+	 * @param {string} name The name of the route.
+	 * @param {RouteLocation["params"]} [params] optional. The path parameters, they are encoded.
+	 * @param {RouteLocation["query"]} [query] optional. The query parameters.
+	 * @returns {string}
+	 * @example
+	 * a({ href: router.href("user", { id: 1 }, { tab: "posts" }) }, "Posts") // <a href="#!/user/1?tab=posts">
+	 */
+	href(name, params = {}, query = {}) {
+		const path = this.compiled().names.get(name);
+		if (path == null) throw new Error(`Unknown route name "${name}"`);
+		return this.formatURL(buildPath(path, params) + formatQuery(query));
+	}
+
+	/**
+	 * Returns the link of a path in the URL format of the router.
+	 * @param {string} path The path with the query, e.g. "/user/1?tab=posts".
+	 */
+	formatURL(path) {
+		return path;
+	}
+
+	/**
+	 * Returns the URL of a navigation target: the path, or the link of a named route.
+	 * @param {string|RouteLocation} to
+	 */
+	resolve(to) {
+		return typeof to === "string" ? to : this.href(to.name, to.params, to.query);
+	}
+
+	/**
+	 * Returns the index of the first route of the chain, that is not rendered yet with the same parameters.
+	 * @param {RouteMatch} match
+	 */
+	changedLevel({ branch, keys }) {
+		let index = 0;
+		while (index < branch.routes.length && this.levels[index]?.route === branch.routes[index] && this.levels[index]?.key === keys[index]) {
+			index++;
+		}
+		return index;
+	}
+
+	/**
+	 * Registers a global guard called before entering any route.
+	 * @param {NavigationGuard} guard Returns `false` to cancel the navigation, or a path to redirect to.
+	 * @returns {() => void} A function to remove the guard.
+	 * @example
+	 * router.beforeEnter(({ newURL }) => newURL.startsWith("/admin") && !user.value ? "/login" : true)
+	 */
+	beforeEnter(guard) {
+		this.hooks.beforeEnter.add(guard)
+		return () => this.hooks.beforeEnter.delete(guard)
+	}
+
+	/**
+	 * Registers a global guard called before leaving the current route.
+	 * @param {NavigationGuard} guard Returns `false` to cancel the navigation, or a path to redirect to.
+	 * @returns {() => void} A function to remove the guard.
+	 * @example
+	 * router.beforeLeave(() => !form.dirty.value || confirm("Discard the unsaved changes?"))
+	 */
+	beforeLeave(guard) {
+		this.hooks.beforeLeave.add(guard)
+		return () => this.hooks.beforeLeave.delete(guard)
+	}
+
+	/**
+	 * Registers a hook called after each navigation, when the new route is rendered.
+	 * @param {(ctx: RouteContext) => void} hook
+	 * @returns {() => void} A function to remove the hook.
+	 * @example
+	 * router.afterEach(({ newURL }) => analytics.pageView(newURL))
+	 */
+	afterEach(hook) {
+		this.hooks.afterEach.add(hook)
+		return () => this.hooks.afterEach.delete(hook)
+	}
+
+	/**
+	 * Runs the guards of the navigation: the global `beforeLeave` guards, the `beforeLeave` guards of the left routes
+	 * (from the page up), the global `beforeEnter` guards and the `beforeEnter` guards of the entered routes.
+	 * The routes with the same parameters, that are kept, are neither left nor entered.
+	 * @param {RouteMatch} match The matched route chain.
+	 * @param {string} oldURL The previous URL.
+	 * @param {string} newURL The new URL.
+	 * @returns {Promise<boolean|string>} `true` to continue, `false` to cancel, or the path to redirect to.
+	 */
+	async runGuards(match, oldURL, newURL) {
+		const ctx = { params: match.params, query: match.query, oldURL, newURL };
+		const start = match.branch.callback ? 0 : this.changedLevel(match);
+		const guards = [
+			...this.hooks.beforeLeave,
+			...this.levels.slice(start).reverse().map((level) => level.route.beforeLeave),
+			...this.hooks.beforeEnter,
+			...match.branch.routes.slice(start).map((route) => route.beforeEnter),
+		];
+		for (const guard of guards) {
+			const result = await guard?.(ctx);
+			if (result === false || typeof result === "string") return result;
+		}
+		return true;
+	}
+
+	/**
+	 * Starts a new navigation, and aborts the previous one of the router.
+	 * The `navigating` signal is `true` until all the navigations are finished, see {@link Router#endNavigation}.
+	 * @returns {AbortController} The controller of the new navigation.
+	 */
+	startNavigation() {
+		this.controller?.abort();
+		const controller = this.controller = new AbortController();
+		navigating.value = ++pending > 0;
+		return controller;
+	}
+
+	/**
+	 * Finishes a navigation started by {@link Router#startNavigation}.
+	 * @param {AbortController} controller
+	 */
+	endNavigation(controller) {
+		if (this.controller === controller) this.controller = undefined;
+		navigating.value = --pending > 0;
+	}
+
+	/**
+	 * Moves the history back to the entry at the position, to undo a cancelled back or forward navigation
+	 * (or a new entry of a link), instead of replacing the URL of the current entry.
+	 * The history event of the move is skipped, see {@link Router#isRestoring}.
+	 * @param {number} position The position of the entry before the navigation.
+	 * @returns {Promise<void>} Resolves when the history is back at the entry.
+	 */
+	restorePosition(position) {
+		const delta = position - this.position;
+		this.position = position;
+		if (!delta) return Promise.resolve();
+		return new Promise((resolve) => {
+			this.restoring = { position, resolve };
+			window.history.go(delta);
+		});
+	}
+
+	/**
+	 * Checks if a history event is caused by {@link Router#restorePosition}, so it is not handled as a navigation.
+	 * @returns {boolean}
+	 */
+	isRestoring() {
+		const restoring = this.restoring;
+		if (!restoring) return false;
+		this.restoring = undefined;
+		restoring.resolve();
+		return window.history.state?.position === restoring.position;
+	}
+
+	/**
+	 * Renders the matched routes. The layouts, that are already rendered with the same parameters, are kept,
+	 * and the changed route is rendered into the outlet of its parent.
+	 * The data of the rendered routes is loaded first, in parallel.
+	 * Throws when the navigation is aborted, before anything is rendered.
+	 * @param {RouteMatch} match The matched route chain.
+	 * @param {string} oldURL The previous URL.
+	 * @param {string} newURL The current URL.
+	 * @param {AbortSignal} [abortSignal] optional. The signal of the navigation.
+	 */
+	async renderMatch(match, oldURL, newURL, abortSignal = new AbortController().signal) {
+		const { branch, values, params, query, keys } = match;
+		if (branch.callback) {
+			// wait for the route callback to complete and get the result
+			const view = await branch.callback(oldURL, newURL, .../** @type {string[]} */ (values));
+			abortSignal.throwIfAborted();
+			this.levels = [];
+			this.render(view);
+			return;
+		}
+		// keep the rendered layouts with the same parameters, the page is always rendered again
+		const start = Math.min(this.changedLevel(match), branch.routes.length - 1);
+		const routes = branch.routes.slice(start);
+		const data = await Promise.all(routes.map((route) => route.load?.({ params, query, signal: abortSignal })));
+		abortSignal.throwIfAborted();
+		/** @type {RouteLevel[]} */
+		const levels = [];
+		/** @type {any[]} */
+		const views = [];
+		for (let i = start; i < branch.routes.length; i++) {
+			const route = /** @type {RouteDefinition} */ (branch.routes[i]);
+			const ctx = { params, query, oldURL, newURL, data: data[i - start] };
+			if (i < branch.routes.length - 1) {
+				const outlet = signal(/** @type {any} */(null));
+				views.push(await (route.layout ? route.layout(outlet, ctx) : tags.fragment(outlet)));
+				levels.push({ route, key: /** @type {string} */ (keys[i]), outlet });
+			} else {
+				views.push(await route.component?.(ctx));
+				levels.push({ route, key: /** @type {string} */ (keys[i]), outlet: undefined });
+			}
+			abortSignal.throwIfAborted();
+		}
+		// fill the new outlets before the views are attached, from the page up
+		for (let i = levels.length - 2; i >= 0; i--) {
+			const outlet = levels[i]?.outlet;
+			if (outlet) outlet.value = views[i + 1];
+		}
+		const parentOutlet = this.levels[start - 1]?.outlet;
+		this.levels = [...this.levels.slice(0, start), ...levels];
+		if (parentOutlet) {
+			parentOutlet.value = views[0];
+		} else {
+			this.render(views[0]);
+		}
+	}
+
+	/**
+	 * Calls the `afterEach` hooks.
+	 * @param {RouteMatch} match The rendered route chain.
+	 * @param {string} oldURL The previous URL.
+	 * @param {string} newURL The current URL.
+	 */
+	afterNavigate(match, oldURL, newURL) {
+		for (const hook of this.hooks.afterEach) {
+			try {
+				hook({ params: match.params, query: match.query, oldURL, newURL });
+			} catch (e) {
+				console.error("Router afterEach error:", e);
+			}
+		}
+	}
+
+	/**
+	 * Goes back in the browser history.
+	 * This is a convenience wrapper for {@link https://developer.mozilla.org/en-US/docs/Web/API/History/back|window.history.back()}.
+	 * @example router.back()
+	 */
+	back() {
+		window.history.back()
+	}
+
+	/**
+	 * Handle rendering of the new route based on the result from the route callback.
+	 * If the result is a Node, it will be rendered into the root element.
+	 * If the result is not a Node, it will be logged as a warning.
+	 * This method can be extended to handle different types of route callback results, such as strings or objects, and render them accordingly.
+	 * @param {*} view - The rendered component/node.
+	 */
+	render(view) {
+		if (this.root == null) return;
+		if (view instanceof Node) {
+			this.root.replaceChildren(view);
+		} else {
+			// If the route callback does not return a Node, we can choose to handle it differently.
+			// For example, if it returns a string, we could render it as HTML or text.
+			// Or if it returns an object, we could pass it to the component as props/state.
+			// For now, we will just log it.
+			console.warn("Route callback result is not a Node:", view)
+			this.root.replaceChildren(String(view));
+		}
+	}
+}
+
+/**
+ * The HashRouter class represents a client-side router that uses the URL hash to manage navigation.
+ */
+export class HashRouter extends Router {
+	/**
+	 * The constructor for the "hashbang" Router class.
+	 *
+	 * Why hashbang? Because it uses the URL hash (the part after the `#` symbol) to manage client-side routing.
+	 * It required zero configuration and works in all browsers without needing server-side support (404) for routing.
+	 * It listens for changes to the URL hash and updates the UI accordingly based on the defined routes.
+	 *
+	 * This function sets up the router by setting root, default route and routes.
+	 * It also sets up an event listener for hash changes and updates the current URL.
+	 *
+	 * It uses error route (`"/error/:msg"`) when routing fails.
+	 * It uses the default as fallback if no other routes match.
+	 *
+	 * @param {HTMLElement|null} [root] root element
+	 * @param {string} [defaultRoute] default route
+	 * @param {TRoutes} [routes] routes, or route definitions
+	 * @param {TObservableState} [state] optional. pass observer for router to update
+	 *
+	 * @example
+	 * import { HashRouter } from "seui/router"
+	 * const router = new HashRouter(document.body, "/", {
+	 *   "/": Home,
+	 *   "/info": () => Info(),
+	 *   "/error/:message": (oldURL, newURL, message) => {
+	 *     console.log(`Navigated from ${oldURL} to ${newURL} with ${message}`)
+	 *     return tags.div("Error! You have navigated to the error page with: ${message}"))
+	 *   },
+	 * })
+	 */
+	constructor(root, defaultRoute, routes, state) {
+		super(root, defaultRoute, routes, state)
+		/** @type {string} */
+		this.oldURL = window.location.hash || "/"
+		// the entries are numbered, to undo the cancelled navigations
+		this.position = window.history.state?.position ?? 0
+		window.history.replaceState({ ...window.history.state, position: this.position }, "")
+		this._onHashChange = this.onHashChange.bind(this)
+		this._onLoad = () => this.update()
+		window.addEventListener('hashchange', this._onHashChange, false)
+		window.addEventListener('load', this._onLoad, false)
 	}
 
 	/**
@@ -95,6 +701,7 @@ export class HashRouter {
 	 * the hashchange, including the `e.oldURL` and `e.newURL` properties.
 	 */
 	onHashChange(e) {
+		if (this.isRestoring()) return
 		this.update()
 	}
 
@@ -108,46 +715,44 @@ export class HashRouter {
 	 * @returns {Promise<void>} A promise that resolves when the route update is complete.
 	 */
 	async update(state) {
-		const routes = this.routes;
 		const newURL = (window.location.hash || "#!/").replace("#!/", "/");
 		const oldURL = (this.oldURL || "#!/").replace("#!/", "/");
 		this.oldURL = newURL;
+		// the new entries (e.g. of a link) are numbered, the back and forward navigations move to a numbered entry
+		const oldPosition = this.position;
+		if (window.history.state?.position == null) {
+			window.history.replaceState({ ...window.history.state, position: ++this.position }, "");
+		} else {
+			this.position = window.history.state.position;
+		}
+		const controller = this.startNavigation();
 		try {
-			/** @type {Promise<TRouteParams>|undefined} */
-			let routeCallbackPromise;
-
-			for (const key in routes) {
-				const regExp = pathToRegex(key);
-				const match = newURL.match(regExp);
-
-				if (match == null || routes[key] == null) continue;
-
-				// promisify the route callback in case it's not already a promise
-				// call the route callback with regex groups as parameters
-				routeCallbackPromise = Promise.resolve(routes[key](
-					oldURL,
-					newURL,
-					...match.slice(1) // pass regex groups as parameters
-				));
-
-				break;
-			}
+			const match = this.match(newURL);
 
 			// If no route matched, use the default route?
-			if (routeCallbackPromise == null) {
+			if (match == null) {
 				console.warn('Router no route matched', { newURL, oldURL });
 				// window.location.hash = `#!${this.defaultRoute}`;
 				return;
 			}
 
-			// wait for the route callback to complete and get the result
-			const routeCallbackResult = await routeCallbackPromise;
+			// the guards can cancel or redirect the navigation,
+			// the hash is already changed, so the history moves back to the previous entry
+			const allowed = await this.runGuards(match, oldURL, newURL);
+			controller.signal.throwIfAborted();
+			if (allowed !== true) {
+				this.oldURL = oldURL;
+				await this.restorePosition(oldPosition);
+				controller.signal.throwIfAborted();
+				if (allowed !== false) window.location.hash = this.formatURL(allowed);
+				return;
+			}
 
 			// lifecycle before render
 			// this.beforeRender(routeCallbackResult);
 
-			// render the new view based on the route callback result
-			this.render(routeCallbackResult);
+			// render the matched routes, the unchanged layouts are kept
+			await this.renderMatch(match, oldURL, newURL, controller.signal);
 
 			// lifecycle after render
 			// this.afterRender(routeCallbackResult);
@@ -160,22 +765,39 @@ export class HashRouter {
 				data: state ?? current.data
 			}));
 
+			this.afterNavigate(match, oldURL, newURL);
+
 		} catch (/** @type {any} */ e) {
+			// superseded by a newer navigation
+			if (controller.signal.aborted) return;
 			console.error("Router error:", e);
+			this.levels = [];
 			window.location.hash = `#!/error/${encodeURIComponent(e.message)}`;
+		} finally {
+			this.endNavigation(controller);
 		}
 	}
 
+	/**
+	 * Returns the link of a path with the "#!" prefix.
+	 * @override
+	 * @param {string} path The path with the query, e.g. "/user/1?tab=posts".
+	 */
+	formatURL(path) {
+		return `#!${path}`;
+	}
+
 	/**
 	 * Updates the URL hash to the specified value.
 	 * This triggers a navigation event to the new hash location.
 	 * This is a convenience wrapper for {@link https://developer.mozilla.org/en-US/docs/Web/API/Location/hash|window.location.hash}.
 	 *
-	 * @param {string} hash - The hash value to navigate to, including the "#!/" character.
+	 * @param {string|RouteLocation} hash - The hash value to navigate to, including the "#!/" character, or a named route.
 	 * @param {any} [data] - Optional set data in the router state.
 	 * The data will be available in the `data` parameter of the `route.state` subscriber.
 	 * @example router.go("#!/home")
 	 * @example router.go("#!/home", { foo: "bar" })
+	 * @example router.go({ name: "user", params: { id: 1 } })
 	 */
 	go(hash, data) {
 		// update data in current state
@@ -183,16 +805,7 @@ export class HashRouter {
 			...current,
 			data
 		}))
-		window.location.hash = hash
-	}
-
-	/**
-	 * Goes back in the browser history.
-	 * This is a convenience wrapper for {@link https://developer.mozilla.org/en-US/docs/Web/API/History/back|window.history.back()}.
-	 * @example router.back()
-	 */
-	back() {
-		window.history.back()
+		window.location.hash = this.resolve(hash)
 	}
 
 	/**
@@ -202,6 +815,8 @@ export class HashRouter {
 		this.root = undefined
 		this.defaultRoute = "/"
 		this.routes = {}
+		this.levels = []
+		for (const hooks of Object.values(this.hooks)) hooks.clear()
 		this.oldURL = "/"
 		this.state?.unsubscribeAll()
 		this.state = undefined
@@ -213,26 +828,6 @@ export class HashRouter {
 		}
 	}
 
-	/**
-	 * Handle rendering of the new route based on the result from the route callback.
-	 * If the result is a Node, it will be rendered into the root element.
-	 * If the result is not a Node, it will be logged as a warning.
-	 * This method can be extended to handle different types of route callback results, such as strings or objects, and render them accordingly.
-	 * @param {*} view - The rendered component/node.
-	 */
-	render(view) {
-		if (this.root == null) return;
-		if (view instanceof Node) {
-			this.root.replaceChildren(view);
-		} else {
-			// If the route callback does not return a Node, we can choose to handle it differently.
-			// For example, if it returns a string, we could render it as HTML or text.
-			// Or if it returns an object, we could pass it to the component as props/state.
-			// For now, we will just log it.
-			console.warn("Route callback result is not a Node:", view)
-			this.root.replaceChildren(String(view));
-		}
-	}
 
 	/**
 	 * Helper method to listen for a single `'hashchange'` event
@@ -258,7 +853,7 @@ export class HashRouter {
 /**
  * The HistoryRouter class represents a client-side router that uses the History API to manage navigation.
  */
-export class HistoryRouter {
+export class HistoryRouter extends Router {
 	/**
 	 * The constructor for the HistoryRouter class.
 	 * It initializes the router with optional root element, default route, and route definitions.
@@ -267,7 +862,7 @@ export class HistoryRouter {
 	 *
 	 * @param {HTMLElement} [root] root element
 	 * @param {string} [defaultRoute] default route
-	 * @param {TRouteParams} [routes] route url can callback Object
+	 * @param {TRoutes} [routes] route url can callback Object, or route definitions
 	 * @param {TObservableState} [state] optional. pass observer for router to update
 	 *
 	 * @example
@@ -287,36 +882,19 @@ export class HistoryRouter {
 	 * })
 	 */
 	constructor(root, defaultRoute, routes, state) {
-		/** @type {HTMLElement|undefined|null} */
-		this.root = root
+		super(root, defaultRoute, routes, state)
 		/** @type {string} */
-		this.defaultRoute = defaultRoute || "/"
-		/** @type {TRouteParams} */
-		this.routes = routes || {}
-		/** @type {TObservableState|undefined} */
-		this.state = state
-		/** @type {string} */
-		this.oldURL = window.location.pathname
+		this.oldURL = locationPath()
+		// the entries are numbered, to undo the cancelled back and forward navigations
+		const entry = window.history.state
+		this.position = entry?.position ?? 0
+		if (entry?.position == null) window.history.replaceState({ position: this.position, data: entry }, "")
 		this._onPopState = this.onPopState.bind(this)
 		this._onLoad = () => this.update()
 		window.addEventListener('popstate', this._onPopState, false)
 		window.addEventListener('load', this._onLoad, false)
 	}
 
-	/**
-	 * Set up the router with new parameters.
-	 * @param {HTMLElement} root root element
-	 * @param {string} defaultRoute default route
-	 * @param {TRouteParams} routes route url can callback Object
-	 * @param {TObservableState} [state] optional. pass observer for router to update
-	 */
-	setup(root, defaultRoute, routes, state) {
-		this.root = root
-		this.defaultRoute = defaultRoute || "/"
-		this.routes = routes || {}
-		this.state = state
-	}
-
 	/**
 	 * Handles the popstate event, triggered when the active history entry changes.
 	 * This method is intended to manage navigation state changes due to user
@@ -325,7 +903,17 @@ export class HistoryRouter {
 	 * @param {PopStateEvent} e
 	 */
 	onPopState(e) {
-		this.update(e.state)
+		if (this.isRestoring()) return
+		this.update(e.state?.data)
+	}
+
+	/**
+	 * Pushes a new entry to the history, numbered after the current entry.
+	 * @param {string} url
+	 * @param {*} [data]
+	 */
+	pushURL(url, data) {
+		window.history.pushState({ position: ++this.position, data }, "", url)
 	}
 
 	/**
@@ -334,59 +922,59 @@ export class HistoryRouter {
 	 * Call the lifecycle methods `onunmount` before the route update (moved to MutationObserver).
 	 * Call the lifecycle methods `onmount` after the route update (moved to MutationObserver).
 	 * @param {any} [state]
+	 * @param {string} [path] optional. The path to navigate to, the current path by default.
+	 * It is pushed to the history, when the navigation is allowed by the guards.
 	 */
-	async update(state) {
-		const routes = this.routes;
-		const newURL = window.location.pathname
+	async update(state, path) {
+		const newURL = path ?? locationPath()
 		const oldURL = this.oldURL;
 		this.oldURL = newURL;
+		// the position before a back or forward navigation, to undo it when it is cancelled
+		const oldPosition = this.position;
+		if (path == null) this.position = window.history.state?.position ?? this.position;
+		const controller = this.startNavigation();
 		try {
-			// route callback can be async, so we promisify it in case it's not already a promise
-			let routeCallbackPromise;
-
-			for (const key in routes) {
-				const regExp = pathToRegex(key);
-				const match = newURL.match(regExp);
-
-				if (match == null || routes[key] == null) continue;
-
-				// promisify the route callback in case it's not already a promise
-				// call the route callback with regex groups as parameters
-				routeCallbackPromise = Promise.resolve(routes[key](
-					oldURL,
-					newURL,
-					...match.slice(1) // pass regex groups as parameters
-				));
-
-				break;
-			}
+			const match = this.match(newURL);
 
 			// If no route matched, navigate to default route
-			if (routeCallbackPromise == null) {
+			if (match == null) {
 				// console.warn(`No route matched for ${newURL}, navigating to default route: ${this.defaultRoute}`)
-				window.history.pushState(state, "", this.defaultRoute);
+				this.pushURL(this.defaultRoute, state);
 				this.update(state);
 				return;
 			}
 
-			// wait for the route callback to complete and get the result
-			const routeCallbackResult = await routeCallbackPromise;
+			// the guards can cancel or redirect the navigation,
+			// the URL of a browser navigation (back button) is already changed, so the history moves back
+			const allowed = await this.runGuards(match, oldURL, newURL);
+			controller.signal.throwIfAborted();
+			if (allowed !== true) {
+				this.oldURL = oldURL;
+				if (path == null) {
+					// the entries pushed without the router are not numbered, so the previous URL is pushed again
+					if (window.history.state?.position == null) this.pushURL(oldURL, state);
+					else await this.restorePosition(oldPosition);
+					controller.signal.throwIfAborted();
+				}
+				if (allowed !== false) await this.update(state, allowed);
+				return;
+			}
+
+			// update URL without reloading the page
+			// prevent unnecessary pushState if URL is already correct
+			if (newURL !== locationPath()) {
+				this.pushURL(newURL, state)
+			}
 
 			// lifecycle before render
 			// this.beforeRender(routeCallbackResult);
 
-			// render the new view based on the route callback result
-			this.render(routeCallbackResult);
+			// render the matched routes, the unchanged layouts are kept
+			await this.renderMatch(match, oldURL, newURL, controller.signal);
 
 			// lifecycle after render
 			// this.afterRender(routeCallbackResult);
 
-			// update URL without reloading the page
-			// prevent unnecessary pushState if URL is already correct
-			if (newURL !== window.location.pathname) {
-				window.history.pushState(state, "", newURL)
-			}
-
 			// update observer state
 			this.state?.update((current) => ({
 				...current,
@@ -395,12 +983,19 @@ export class HistoryRouter {
 				data: state ?? current.data
 			}))
 
+			this.afterNavigate(match, oldURL, newURL);
+
 		} catch (/** @type {any} */ e) {
+			// superseded by a newer navigation
+			if (controller.signal.aborted) return;
 			// This catch block is to handle any errors that occur during the route update process,
 			// including errors thrown by the route callbacks or lifecycle methods.
 			console.warn(`Router error navigating to error route: ${e.message || e}`);
-			window.history.pushState({ type: "error", message: e.message || e }, "", `/error/${encodeURIComponent(e.message || e)}`);
+			this.levels = [];
+			this.pushURL(`/error/${encodeURIComponent(e.message || e)}`, { type: "error", message: e.message || e });
 			this.update({ type: "error", message: e.message || e });
+		} finally {
+			this.endNavigation(controller);
 		}
 	}
 
@@ -408,23 +1003,16 @@ export class HistoryRouter {
 	 * Updates the URL path to the specified value.
 	 * This triggers a navigation event to the new path location.
 	 * This is a convenience wrapper for {@link https://developer.mozilla.org/en-US/docs/Web/API/History/pushState|window.history.pushState()}.
+	 * The path is pushed to the history, when the navigation is allowed by the guards (see {@link Router#beforeEnter}).
 	 *
-	 * @param {string} path
+	 * @param {string|RouteLocation} path The path, or a named route.
 	 * @param {*} [data] optional data to pass with the navigation
 	 * @example router.go("/info")
 	 * @example router.go("/info", { foo: "bar" })
+	 * @example router.go({ name: "user", params: { id: 1 }, query: { tab: "posts" } })
 	 */
 	go(path, data) {
-		window.history.pushState(data, "", path)
-		this.update(data)
-	}
-
-	/**
-	 * Goes back in the browser history.
-	 * This is a convenience wrapper for {@link https://developer.mozilla.org/en-US/docs/Web/API/History/back|window.history.back()}.
-	 */
-	back() {
-		window.history.back()
+		this.update(data, this.resolve(path))
 	}
 
 	/**
@@ -434,6 +1022,8 @@ export class HistoryRouter {
 		this.root = undefined
 		this.defaultRoute = "/"
 		this.routes = {}
+		this.levels = []
+		for (const hooks of Object.values(this.hooks)) hooks.clear()
 		this.oldURL = "/"
 		this.state?.unsubscribeAll()
 		this.state = undefined
@@ -444,25 +1034,4 @@ export class HistoryRouter {
 			window.removeEventListener('load', this._onLoad, false)
 		}
 	}
-
-	/**
-	 * Handle rendering of the new route based on the result from the route callback.
-	 * If the result is a Node, it will be rendered into the root element.
-	 * If the result is not a Node, it will be logged as a warning.
-	 * This method can be extended to handle different types of route callback results, such as strings or objects, and render them accordingly.
-	 * @param {*} view - The rendered component/node.
-	 */
-	render(view) {
-		if (this.root == null) return;
-		if (view instanceof Node) {
-			this.root.replaceChildren(view);
-		} else {
-			// If the route callback does not return a Node, we can choose to handle it differently.
-			// For example, if it returns a string, we could render it as HTML or text.
-			// Or if it returns an object, we could pass it to the component as props/state.
-			// For now, we will just log it.
-			console.warn("Route callback result is not a Node:", view)
-			this.root.replaceChildren(String(view));
-		}
-	}
 }
@@ -0,0 +1,670 @@
+import { createRoot } from "./index.js"
+import { setDocument, toKebabCase, cssRules } from "./internal.js"
+
+/**
+ * Server-side rendering of the `tags` components to HTML strings.
+ *
+ * The components are run against a lightweight virtual DOM, that implements
+ * only the parts of the DOM used by seui. Event handlers (including the lifecycle events)
+ * are skipped, since there is nothing to handle them on the server.
+ *
+ * @example
+ * import { renderToString } from "seui/server"
+ * const html = renderToString(() => Home())
+ */
+
+const HTML_NS = "http://www.w3.org/1999/xhtml"
+const VOID_ELEMENTS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"])
+const RAW_TEXT_ELEMENTS = new Set(["script", "style"])
+
+/**
+ * Escapes the text content for HTML.
+ * @param {string} text
+ */
+const escapeText = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+
+/**
+ * Escapes the attribute value for HTML.
+ * @param {string} value
+ */
+const escapeAttribute = (value) => value.replace(/&/g, "&amp;").replace(/"/g, "&quot;")
+
+/**
+ * The base class of the virtual nodes.
+ */
+export class VNode {
+	/**
+	 * @param {number} nodeType
+	 * @param {string} nodeName
+	 */
+	constructor(nodeType, nodeName) {
+		/** @type {number} */
+		this.nodeType = nodeType
+		/** @type {string} */
+		this.nodeName = nodeName
+		/** @type {VNode|null} */
+		this.parentNode = null
+		/** @type {VNode[]} */
+		this.childNodes = []
+		/** @type {string|null} */
+		this.nodeValue = null
+	}
+
+	get isConnected() {
+		return false
+	}
+
+	get firstChild() {
+		return this.childNodes[0] ?? null
+	}
+
+	get lastChild() {
+		return this.childNodes[this.childNodes.length - 1] ?? null
+	}
+
+	get nextSibling() {
+		if (!this.parentNode) return null
+		const siblings = this.parentNode.childNodes
+		return siblings[siblings.indexOf(this) + 1] ?? null
+	}
+
+	get previousSibling() {
+		if (!this.parentNode) return null
+		const siblings = this.parentNode.childNodes
+		return siblings[siblings.indexOf(this) - 1] ?? null
+	}
+
+	get textContent() {
+		return this.childNodes.map(node => node.textContent).join("")
+	}
+
+	set textContent(text) {
+		this.replaceChildren()
+		if (text != null && text !== "") this.appendChild(new VText(String(text)))
+	}
+
+	/**
+	 * @param {VNode} node
+	 * @param {VNode|null} ref
+	 * @returns {VNode}
+	 */
+	insertBefore(node, ref) {
+		// fragments are inserted by their children
+		const nodes = node.nodeType === 11 ? node.childNodes.slice() : [node]
+		for (const child of nodes) {
+			child.parentNode?.removeChild(child)
+			const index = ref ? this.childNodes.indexOf(ref) : -1
+			if (index < 0) {
+				this.childNodes.push(child)
+			} else {
+				this.childNodes.splice(index, 0, child)
+			}
+			child.parentNode = this
+		}
+		return node
+	}
+
+	/**
+	 * @param {VNode} node
+	 * @returns {VNode}
+	 */
+	appendChild(node) {
+		return this.insertBefore(node, null)
+	}
+
+	/**
+	 * @param {VNode} node
+	 * @returns {VNode}
+	 */
+	removeChild(node) {
+		const index = this.childNodes.indexOf(node)
+		if (index >= 0) this.childNodes.splice(index, 1)
+		node.parentNode = null
+		return node
+	}
+
+	/**
+	 * @param {...(VNode|string)} nodes
+	 */
+	append(...nodes) {
+		for (const node of nodes) {
+			this.appendChild(typeof node === "string" ? new VText(node) : node)
+		}
+	}
+
+	/**
+	 * @param {...(VNode|string)} nodes
+	 */
+	replaceChildren(...nodes) {
+		for (const child of this.childNodes.slice()) this.removeChild(child)
+		this.append(...nodes)
+	}
+
+	remove() {
+		this.parentNode?.removeChild(this)
+	}
+
+	// event handlers are skipped on the server
+	addEventListener() { /* noop */ }
+	removeEventListener() { /* noop */ }
+	dispatchEvent() {
+		return true
+	}
+}
+
+/**
+ * A virtual text node.
+ */
+export class VText extends VNode {
+	/** @param {string} data */
+	constructor(data) {
+		super(3, "#text")
+		this.nodeValue = data
+		/** @type {boolean} raw HTML set by `innerHTML`, serialized without escaping */
+		this.raw = false
+	}
+
+	get data() {
+		return this.nodeValue ?? ""
+	}
+
+	set data(data) {
+		this.nodeValue = data
+	}
+
+	/** @override */
+	get textContent() {
+		return this.nodeValue ?? ""
+	}
+
+	/** @override */
+	set textContent(text) {
+		this.nodeValue = String(text)
+	}
+}
+
+/**
+ * A virtual comment node.
+ */
+export class VComment extends VText {
+	/** @param {string} data */
+	constructor(data) {
+		super(data)
+		this.nodeType = 8
+		this.nodeName = "#comment"
+	}
+
+	/** @override */
+	get textContent() {
+		return ""
+	}
+
+	/** @override */
+	set textContent(text) {
+		this.nodeValue = String(text)
+	}
+}
+
+/**
+ * A virtual document fragment.
+ */
+export class VFragment extends VNode {
+	constructor() {
+		super(11, "#document-fragment")
+	}
+}
+
+/**
+ * Creates a virtual style declaration.
+ * Supports the camelCase properties (e.g. `style.backgroundColor`), `setProperty`,
+ * `removeProperty`, `getPropertyValue` and `cssText`.
+ * @returns {CSSStyleDeclaration}
+ */
+const createStyle = () => {
+	/** @type {Map<string, {value: string, priority: string}>} */
+	const props = new Map()
+	const methods = {
+		/**
+		 * @param {string} name
+		 * @param {string|null} value
+		 * @param {string} [priority]
+		 */
+		setProperty(name, value, priority = "") {
+			if (value == null || value === "") {
+				props.delete(name)
+			} else {
+				props.set(name, { value: String(value), priority })
+			}
+		},
+		/** @param {string} name */
+		removeProperty(name) {
+			const current = props.get(name)
+			props.delete(name)
+			return current?.value ?? ""
+		},
+		/** @param {string} name */
+		getPropertyValue(name) {
+			return props.get(name)?.value ?? ""
+		},
+		/** @param {string} name */
+		getPropertyPriority(name) {
+			return props.get(name)?.priority ?? ""
+		},
+	}
+	const getCssText = () => Array.from(props, ([name, { value, priority }]) =>
+		`${name}: ${value}${priority ? ` !${priority}` : ""};`).join(" ")
+	/** @param {string} text */
+	const setCssText = (text) => {
+		props.clear()
+		for (const declaration of String(text ?? "").split(";")) {
+			const index = declaration.indexOf(":")
+			if (index < 0) continue
+			const name = declaration.slice(0, index).trim()
+			const [value = "", priority = ""] = declaration.slice(index + 1).split("!").map(s => s.trim())
+			methods.setProperty(name, value, priority)
+		}
+	}
+	//@ts-ignore the proxy acts as a style declaration
+	return new Proxy(methods, {
+		get(target, prop) {
+			if (prop === "cssText") return getCssText()
+			if (typeof prop !== "string" || prop in target) return target[prop]
+			return target.getPropertyValue(toKebabCase(prop))
+		},
+		set(target, prop, value) {
+			if (prop === "cssText") {
+				setCssText(value)
+			} else if (typeof prop === "string") {
+				target.setProperty(toKebabCase(prop), value)
+			}
+			return true
+		},
+		has(target, prop) {
+			return typeof prop === "string" || prop in target
+		},
+	})
+}
+
+/**
+ * A virtual element.
+ */
+export class VElement extends VNode {
+	/**
+	 * @param {string} tag
+	 * @param {string} [namespaceURI]
+	 */
+	constructor(tag, namespaceURI = HTML_NS) {
+		super(1, namespaceURI === HTML_NS ? tag.toUpperCase() : tag)
+		/** @type {string} */
+		this.localName = namespaceURI === HTML_NS ? tag.toLowerCase() : tag
+		/** @type {string} */
+		this.namespaceURI = namespaceURI
+		/** @type {Map<string, string>} */
+		this.attributes = new Map()
+		/** @type {CSSStyleDeclaration} */
+		this.style = createStyle()
+	}
+
+	get tagName() {
+		return this.nodeName
+	}
+
+	/** @type {DOMTokenList} the class names, backed by the class attribute */
+	get classList() {
+		const element = this
+		const names = () => (element.getAttribute("class") || "").split(/\s+/).filter(Boolean)
+		/** @param {string[]} list */
+		const update = (list) => element.setAttribute("class", list.join(" "))
+		return /** @type {*} */ ({
+			/** @param {...string} tokens */
+			add: (...tokens) => update([...new Set([...names(), ...tokens])]),
+			/** @param {...string} tokens */
+			remove: (...tokens) => update(names().filter(name => !tokens.includes(name))),
+			/** @param {string} token */
+			contains: (token) => names().includes(token),
+			/**
+			 * @param {string} token
+			 * @param {boolean} [force]
+			 */
+			toggle: (token, force) => {
+				const enabled = force ?? !names().includes(token)
+				update(enabled ? [...new Set([...names(), token])] : names().filter(name => name !== token))
+				return enabled
+			},
+		})
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {*} value
+	 */
+	setAttribute(name, value) {
+		if (name === "style") {
+			this.style.cssText = String(value)
+		} else {
+			this.attributes.set(name, String(value))
+		}
+	}
+
+	/**
+	 * @param {string|null} _namespace
+	 * @param {string} name
+	 * @param {*} value
+	 */
+	setAttributeNS(_namespace, name, value) {
+		this.setAttribute(name, value)
+	}
+
+	/** @param {string} name */
+	getAttribute(name) {
+		if (name === "style") return this.style.cssText || null
+		return this.attributes.get(name) ?? null
+	}
+
+	/** @param {string} name */
+	hasAttribute(name) {
+		return this.getAttribute(name) != null
+	}
+
+	/** @param {string} name */
+	removeAttribute(name) {
+		if (name === "style") {
+			this.style.cssText = ""
+		} else {
+			this.attributes.delete(name)
+		}
+	}
+
+	/**
+	 * @param {string|null} _namespace
+	 * @param {string} localName
+	 */
+	removeAttributeNS(_namespace, localName) {
+		for (const name of Array.from(this.attributes.keys())) {
+			if (name === localName || name.endsWith(":" + localName)) this.attributes.delete(name)
+		}
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {boolean} [force]
+	 */
+	toggleAttribute(name, force) {
+		const enabled = force ?? !this.hasAttribute(name)
+		if (enabled) {
+			this.setAttribute(name, "")
+		} else {
+			this.removeAttribute(name)
+		}
+		return enabled
+	}
+
+	/** @type {VElement[]} the options of a select, including the ones in the optgroups */
+	get options() {
+		/** @type {VElement[]} */
+		const options = []
+		/** @param {VNode} node */
+		const collect = (node) => {
+			for (const child of node.childNodes) {
+				if (!(child instanceof VElement)) continue
+				if (child.localName === "option") options.push(child)
+				else if (child.localName === "optgroup") collect(child)
+			}
+		}
+		collect(this)
+		return options
+	}
+
+	get innerText() {
+		return this.textContent
+	}
+
+	set innerText(text) {
+		this.textContent = text
+	}
+
+	get outerHTML() {
+		return serialize(this)
+	}
+
+	get innerHTML() {
+		return this.childNodes.map(node => serialize(node, this)).join("")
+	}
+
+	set innerHTML(html) {
+		const raw = new VText(String(html))
+		raw.raw = true // serialized as is
+		this.replaceChildren(raw)
+	}
+}
+
+// Reflect the common properties to attributes, so `applySingleProp` can map them like in the browser
+/** @type {{[prop: string]: string}} */
+const STRING_PROPS = {
+	id: "id", className: "class", htmlFor: "for", title: "title", lang: "lang", dir: "dir",
+	name: "name", type: "type", href: "href", src: "src", alt: "alt", placeholder: "placeholder",
+	action: "action", method: "method", target: "target", rel: "rel", role: "role",
+	min: "min", max: "max", step: "step", pattern: "pattern", accept: "accept", autocomplete: "autocomplete",
+	tabIndex: "tabindex", maxLength: "maxlength", minLength: "minlength", colSpan: "colspan", rowSpan: "rowspan",
+	contentEditable: "contenteditable", inputMode: "inputmode", enterKeyHint: "enterkeyhint", accessKey: "accesskey",
+	crossOrigin: "crossorigin", referrerPolicy: "referrerpolicy", formAction: "formaction",
+}
+/** @type {{[prop: string]: string}} */
+const BOOLEAN_PROPS = {
+	hidden: "hidden", disabled: "disabled", checked: "checked", selected: "selected", required: "required",
+	readOnly: "readonly", multiple: "multiple", autofocus: "autofocus", open: "open", controls: "controls",
+	autoplay: "autoplay", loop: "loop", muted: "muted", novalidate: "novalidate", noValidate: "novalidate",
+	defaultChecked: "checked", defaultSelected: "selected", inert: "inert", reversed: "reversed",
+}
+// The properties without an attribute are kept on the element, but not serialized
+/** @type {{[prop: string]: *}} */
+const DOM_PROPS = {
+	indeterminate: false, valueAsNumber: NaN, valueAsDate: null, files: null, srcObject: null,
+	scrollTop: 0, scrollLeft: 0, currentTime: 0, volume: 1, playbackRate: 1,
+}
+for (const [prop, attr] of Object.entries(STRING_PROPS)) {
+	Object.defineProperty(VElement.prototype, prop, {
+		get() { return this.getAttribute(attr) ?? "" },
+		// like `applySingleProp`, null and undefined remove the attribute
+		set(value) { value == null ? this.removeAttribute(attr) : this.setAttribute(attr, value) },
+	})
+}
+for (const [prop, attr] of Object.entries(BOOLEAN_PROPS)) {
+	Object.defineProperty(VElement.prototype, prop, {
+		get() { return this.hasAttribute(attr) },
+		set(value) { this.toggleAttribute(attr, !!value) },
+	})
+}
+for (const [prop, value] of Object.entries(DOM_PROPS)) {
+	Object.defineProperty(VElement.prototype, prop, { value, writable: true })
+}
+
+/**
+ * The values of the selects. The options are usually appended after the value is set,
+ * so they are selected again when the select is serialized.
+ * @type {WeakMap<VElement, string>}
+ */
+const SELECT_VALUES = new WeakMap()
+
+/**
+ * Selects the first option of a select with the value, like setting `select.value` in the browser.
+ * @param {VElement} select
+ * @param {string} value
+ */
+const selectOption = (select, value) => {
+	let found = false
+	for (const option of /** @type {*[]} */ (select.options)) {
+		option.selected = !found && option.value === value
+		found ||= option.selected
+	}
+}
+
+Object.defineProperty(VElement.prototype, "value", {
+	get() {
+		// the value of a textarea is its content, the value of a select is the one of its selected option
+		if (this.localName === "textarea") return this.textContent
+		if (this.localName === "select") {
+			const options = this.options
+			const option = options.find(candidate => candidate.selected) ?? options[0]
+			return option ? option.value : SELECT_VALUES.get(this) ?? ""
+		}
+		if (this.localName === "option") return this.getAttribute("value") ?? this.textContent
+		return this.getAttribute("value") ?? ""
+	},
+	set(value) {
+		// null is the empty value, like in the browser
+		if (this.localName === "textarea") {
+			this.textContent = value ?? ""
+		} else if (this.localName === "select") {
+			SELECT_VALUES.set(this, String(value ?? ""))
+			selectOption(this, String(value ?? ""))
+		} else if (value == null) {
+			this.removeAttribute("value")
+		} else {
+			this.setAttribute("value", value)
+		}
+	},
+})
+
+/**
+ * A virtual document, that creates the virtual nodes.
+ */
+export class VDocument {
+	constructor() {
+		this.documentElement = new VElement("html")
+		this.head = new VElement("head")
+		this.body = new VElement("body")
+		this.documentElement.append(this.head, this.body)
+	}
+
+	/**
+	 * @param {string} tag
+	 * @param {{ is?: string }} [options]
+	 */
+	createElement(tag, options) {
+		const element = new VElement(tag)
+		if (options?.is) element.setAttribute("is", options.is)
+		return element
+	}
+
+	/**
+	 * @param {string|null} namespaceURI
+	 * @param {string} tag
+	 * @param {{ is?: string }} [options]
+	 */
+	createElementNS(namespaceURI, tag, options) {
+		const element = new VElement(tag, namespaceURI || HTML_NS)
+		if (options?.is) element.setAttribute("is", options.is)
+		return element
+	}
+
+	/** @param {string} data */
+	createTextNode(data) {
+		return new VText(data)
+	}
+
+	/** @param {string} data */
+	createComment(data) {
+		return new VComment(data)
+	}
+
+	createDocumentFragment() {
+		return new VFragment()
+	}
+}
+
+/**
+ * Serializes a virtual node to HTML.
+ * @param {VNode} node The node to serialize.
+ * @param {VNode|null} [parent] optional. The parent node, used for the namespaces and raw text.
+ * @returns {string} The HTML string.
+ */
+export const serialize = (node, parent = node.parentNode) => {
+	switch (node.nodeType) {
+		case 3: // Text
+			return /** @type {VText} */ (node).raw || (parent instanceof VElement && RAW_TEXT_ELEMENTS.has(parent.localName))
+				? node.nodeValue ?? ""
+				: escapeText(node.nodeValue ?? "")
+		case 8: // Comment
+			return `<!--${node.nodeValue ?? ""}-->`
+		case 1: { // Element
+			const element = /** @type {VElement} */ (node)
+			const tag = element.localName
+			const selectValue = SELECT_VALUES.get(element)
+			if (selectValue != null && !/** @type {*} */ (element).multiple) selectOption(element, selectValue)
+			let attributes = ""
+			// declare the namespace, where it changes (e.g. the <svg> element in HTML)
+			const parentNamespace = parent instanceof VElement ? parent.namespaceURI : HTML_NS
+			if (element.namespaceURI !== parentNamespace && !element.attributes.has("xmlns")) {
+				attributes += ` xmlns="${escapeAttribute(element.namespaceURI)}"`
+			}
+			for (const [name, value] of element.attributes) {
+				attributes += value === "" ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`
+			}
+			const style = element.style.cssText
+			if (style) attributes += ` style="${escapeAttribute(style)}"`
+			if (element.namespaceURI === HTML_NS && VOID_ELEMENTS.has(tag)) {
+				return `<${tag}${attributes}>`
+			}
+			if (element.namespaceURI !== HTML_NS && !element.childNodes.length) {
+				return `<${tag}${attributes} />`
+			}
+			const children = element.childNodes.map(child => serialize(child, element)).join("")
+			return `<${tag}${attributes}>${children}</${tag}>`
+		}
+		default: // Fragment
+			return node.childNodes.map(child => serialize(child, parent)).join("")
+	}
+}
+
+/**
+ * Collects the rules of the `css` classes used by the nodes.
+ * @param {VNode[]} nodes
+ * @param {Set<string>} [rules]
+ * @returns {Set<string>}
+ */
+const collectStyles = (nodes, rules = new Set()) => {
+	for (const node of nodes) {
+		if (node instanceof VElement) cssRules(node.getAttribute("class") ?? "").forEach(rule => rules.add(rule))
+		collectStyles(node.childNodes, rules)
+	}
+	return rules
+}
+
+/**
+ * Renders a component to an HTML string.
+ * The component is run against a virtual DOM with the same `tags` and `ns` code as in the browser.
+ * Signals are rendered with their current value and the effects are disposed after rendering.
+ * Event handlers are skipped. The rules of the used `css` classes are rendered in a `<style>` before the content.
+ *
+ * @param {() => any} componentFn The component to render. May return a node, an array of nodes or a string.
+ * @returns {string} The HTML string.
+ * @example
+ * import { tags, signal } from "seui"
+ * import { renderToString } from "seui/server"
+ * const count = signal(1)
+ * const html = renderToString(() => tags.p("Count: ", count, { onclick: () => count.value++ }))
+ * // <p>Count: <!--signal-->1<!--/signal--></p>
+ */
+export const renderToString = (componentFn) => {
+	const prevDocument = setDocument(/** @type {*} */ (new VDocument()))
+	try {
+		return createRoot((dispose) => {
+			try {
+				const result = componentFn()
+				const nodes = Array.isArray(result) ? result : [result]
+				const html = nodes.map(node => node instanceof VNode ? serialize(node, null)
+					: node == null ? "" : escapeText(String(node))).join("")
+				// the rules of the `css` classes are rendered before the content, `hydrate` removes them
+				const rules = collectStyles(nodes.filter(node => node instanceof VNode))
+				return rules.size ? `<style data-seui-css>${[...rules].join("\n")}</style>${html}` : html
+			} finally {
+				dispose()
+			}
+		})
+	} finally {
+		setDocument(prevDocument)
+	}
+}
+
+export default renderToString